@@ -0,0 +1,60 @@
+/**
+ * ConfigLoader kind
+ * read_the_theme_manifest_of_the_command_line_tool（YAML / JSON），convert_the_file_paths_in_it_into File object
+ *
+ * see ThemeManifestSchema.js for_the_manifest_format，file_paths_are_relative_to_the_manifest_file
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import themeManifest from '../src/utils/ThemeManifest.js'
+
+class ConfigLoader {
+  constructor() {
+    this.baseDir = process.cwd()
+  }
+
+  /**
+   * read_and_parse_the_manifest_file
+   * @param {string} manifestPath - manifest_file_path
+   * @returns {Promise<Object>} manifest_object
+   */
+  async readManifest(manifestPath) {
+    const text = await fs.readFile(manifestPath, 'utf8')
+    return themeManifest.parse(text, path.basename(manifestPath))
+  }
+
+  /**
+   * load_manifest_file
+   * @param {string} manifestPath - manifest_file_path
+   * @returns {Promise<Object>} configuration_object_that_can_be_passed_to AssetsBuilder
+   */
+  async load(manifestPath) {
+    const manifest = await this.readManifest(manifestPath)
+    this.baseDir = path.dirname(path.resolve(manifestPath))
+    return await themeManifest.createConfig(manifest, filePath => this.readFile(filePath))
+  }
+
+  /**
+   * read_local_files_as File object
+   * @param {string} filePath - path_relative_to_the_manifest_file
+   * @returns {Promise<File>} file_object
+   */
+  async readFile(filePath) {
+    const fullPath = path.resolve(this.baseDir, filePath)
+    let data
+    try {
+      data = await fs.readFile(fullPath)
+    } catch (error) {
+      throw new Error(`Cannot read file ${filePath}: ${error.message}`)
+    }
+    const name = path.basename(fullPath)
+    const stat = await fs.stat(fullPath)
+    return new File([data], name, {
+      type: themeManifest.getMimeType(name),
+      lastModified: stat.mtimeMs
+    })
+  }
+}
+
+export default ConfigLoader
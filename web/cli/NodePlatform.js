@@ -0,0 +1,116 @@
+/**
+ * NodePlatform kind
+ * the_node_implementation_of_the_runtime_dependent_operations，used_by_the_command_line_tool
+ *
+ * main_functions：
+ * - from public/static directory_to_load_preset_resources
+ * - run gifsicle-wasm-browser the_worker_script_in_the_vm_sandbox
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import vm from 'node:vm'
+import gifsicle from 'gifsicle-wasm-browser'
+
+class NodePlatform {
+  constructor(options = {}) {
+    this.name = 'node'
+    this.staticDir = options.staticDir
+  }
+
+  /**
+   * load_preset_resource_files
+   * @param {string} relativePath - path_relative_to static directory
+   * @returns {Promise<ArrayBuffer>} file_data
+   */
+  async loadStatic(relativePath) {
+    const data = await fs.readFile(path.join(this.staticDir, relativePath))
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+  }
+
+  /**
+   * load_preset_text_files
+   * @param {string} relativePath - path_relative_to static directory
+   * @returns {Promise<string>} text_content
+   */
+  async loadStaticText(relativePath) {
+    return await fs.readFile(path.join(this.staticDir, relativePath), 'utf8')
+  }
+
+  /**
+   * check_if_the_preset_resource_exists
+   * @param {string} relativePath - path_relative_to static directory
+   * @returns {Promise<boolean>} whether_it_exists
+   */
+  async staticExists(relativePath) {
+    try {
+      await fs.access(path.join(this.staticDir, relativePath))
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * node has_no canvas，only_the_formats_supported_by_ImageProcessor_can_be_decoded
+   */
+  async decodeImage() {
+    throw new Error('Unsupported image format, only PNG, JPEG and GIF are supported by the command line tool')
+  }
+
+  /**
+   * run gifsicle
+   * the_worker_script_of_gifsicle-wasm-browser_runs_in_an_isolated_context，
+   * the_same_wasm_as_the_browser_is_used，the_output_is_consistent
+   * @param {Object} options - {input: [{file, name}], command: [string]}
+   * @returns {Promise<Array<File>>} output_files
+   */
+  async runGifsicle(options) {
+    const input = []
+    for (const item of options.input) {
+      const data = item.file instanceof ArrayBuffer ? item.file : await item.file.arrayBuffer()
+      input.push({ file: new Uint8Array(data), name: item.name })
+    }
+
+    const context = {
+      console,
+      fetch,
+      WebAssembly,
+      TextDecoder,
+      TextEncoder,
+      URL,
+      performance,
+      setTimeout,
+      clearTimeout,
+      location: { href: 'file:///gifsicle-worker.js' },
+      // let_emscripten_treat_it_as_a_worker_environment
+      importScripts: () => {}
+    }
+    context.self = context
+
+    const output = await new Promise((resolve) => {
+      context.postMessage = resolve
+      vm.createContext(context)
+      vm.runInContext(gifsicle.tool.workerLocalUrl, context)
+      context.onmessage({
+        data: {
+          data: input,
+          command: options.command,
+          folder: options.folder || [],
+          isStrict: options.isStrict || false
+        }
+      })
+    })
+
+    if (!output || typeof output === 'string') {
+      throw new Error(output || 'gifsicle returned no output')
+    }
+
+    return output.map(item => {
+      const type = item.name.includes('.txt') ? 'text/plain' : 'image/gif'
+      return new File([item.file], item.name, { type })
+    })
+  }
+}
+
+export default NodePlatform
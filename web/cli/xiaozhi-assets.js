@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * xiaozhi-assets command_line_tool
+ * build_without_a_browser assets.bin，output_is_identical_to_the_web_editor
+ *
+ * usage：
+ *   xiaozhi-assets build <theme.yaml> -o <assets.bin> [--static <dir>] [--verbose]
+ *   xiaozhi-assets validate <theme.yaml>
+ *   xiaozhi-assets inspect <assets.bin>
+ *   xiaozhi-assets schema
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { createRequire } from 'node:module'
+import { fileURLToPath } from 'node:url'
+
+const cliDir = path.dirname(fileURLToPath(import.meta.url))
+const srcDir = path.resolve(cliDir, '../src')
+
+const USAGE = `Usage:
+  xiaozhi-assets build <theme.yaml> -o <assets.bin> [--static <dir>] [--verbose]
+  xiaozhi-assets validate <theme.yaml>
+  xiaozhi-assets inspect <assets.bin>
+  xiaozhi-assets schema
+
+The theme manifest may be YAML or JSON.
+
+Options:
+  -o, --output <file>   Output file (default: assets.bin); the build manifest
+                        is written next to it as <name>.manifest.json
+  --static <dir>        Directory with preset fonts, emojis and wake word models
+                        (default: web/public/static)
+  --verbose             Print build logs
+  -h, --help            Show this help`
+
+/**
+ * parse_command_line_arguments
+ * @param {Array<string>} argv - parameter_list
+ * @returns {Object} parsed_parameters
+ */
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    input: null,
+    output: 'assets.bin',
+    staticDir: path.resolve(cliDir, '../public/static'),
+    verbose: false,
+    help: false
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '-o' || arg === '--output') {
+      args.output = argv[++i]
+    } else if (arg === '--static') {
+      args.staticDir = path.resolve(argv[++i])
+    } else if (arg === '--verbose') {
+      args.verbose = true
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`)
+    } else if (!args.command) {
+      args.command = arg
+    } else if (!args.input) {
+      args.input = arg
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`)
+    }
+  }
+
+  if (!args.output) {
+    throw new Error('Missing value for --output')
+  }
+
+  return args
+}
+
+/**
+ * prepare_the_node_runtime
+ * the_emscripten_build_of_freetype_needs __dirname and require，
+ * must_be_set_before_importing AssetsBuilder
+ * @param {string} staticDir - preset_resource_directory
+ */
+async function setupPlatform(staticDir) {
+  globalThis.__dirname = path.join(srcDir, 'utils/font_conv/freetype_build')
+  globalThis.require = createRequire(import.meta.url)
+
+  const { default: NodePlatform } = await import('./NodePlatform.js')
+  const { setPlatform } = await import('../src/utils/platform/index.js')
+  setPlatform(new NodePlatform({ staticDir }))
+}
+
+/**
+ * build assets.bin
+ * @param {Object} args - command_line_arguments
+ */
+async function build(args) {
+  await setupPlatform(args.staticDir)
+
+  const { default: ConfigLoader } = await import('./ConfigLoader.js')
+  const { default: AssetsBuilder } = await import('../src/utils/AssetsBuilder.js')
+
+  const config = await new ConfigLoader().load(args.input)
+
+  const builder = new AssetsBuilder()
+  builder.setAutoSave(false)
+  builder.setConfig(config)
+
+  let lastMessage = ''
+  const blob = await builder.generateAssetsBin((progress, message) => {
+    if (message !== lastMessage) {
+      lastMessage = message
+      process.stderr.write(`[${String(Math.round(progress)).padStart(3, ' ')}%] ${message}\n`)
+    }
+  })
+
+  const data = Buffer.from(await blob.arrayBuffer())
+  await fs.writeFile(args.output, data)
+  process.stderr.write(`Wrote ${args.output} (${data.length} bytes)\n`)
+
+  // the_build_manifest_is_written_next_to_the_binary
+  const manifestPath = getBuildManifestPath(args.output)
+  await fs.writeFile(manifestPath, JSON.stringify(builder.getBuildManifest(), null, 2) + '\n')
+  process.stderr.write(`Wrote ${manifestPath} (sha256 ${builder.getBuildManifest().assetsBin.sha256})\n`)
+}
+
+/**
+ * path_of_the_build_manifest：assets.bin -> assets.manifest.json
+ * @param {string} output - output_file
+ * @returns {string} manifest_path
+ */
+function getBuildManifestPath(output) {
+  return output.replace(/\.bin$/i, '') + '.manifest.json'
+}
+
+/**
+ * verify_the_theme_manifest_without_building
+ * @param {Object} args - command_line_arguments
+ */
+async function validate(args) {
+  const { default: ConfigLoader } = await import('./ConfigLoader.js')
+  const { default: themeManifest } = await import('../src/utils/ThemeManifest.js')
+
+  const manifest = await new ConfigLoader().readManifest(args.input)
+  const errors = themeManifest.validate(manifest)
+  if (errors.length > 0) {
+    themeManifest.formatErrors(errors).forEach(message => console.error(message))
+    process.exitCode = 1
+    return
+  }
+  console.log(`${args.input} is valid`)
+}
+
+/**
+ * print_the_theme_manifest JSON Schema
+ */
+async function schema() {
+  const { default: themeManifestSchema } = await import('../src/utils/ThemeManifestSchema.js')
+  console.log(JSON.stringify(themeManifestSchema, null, 2))
+}
+
+/**
+ * print assets.bin content
+ * @param {Object} args - command_line_arguments
+ */
+async function inspect(args) {
+  const { default: AssetsBinParser } = await import('../src/utils/AssetsBinParser.js')
+
+  const data = await fs.readFile(args.input)
+  const result = new AssetsBinParser().parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength))
+
+  console.log(`Files:    ${result.totalFiles}`)
+  console.log(`Size:     ${result.totalSize} bytes`)
+  console.log(`Checksum: 0x${result.checksum.toString(16).padStart(4, '0')} (${result.checksumValid ? 'valid' : 'invalid'})`)
+  console.log('')
+  for (const file of result.files) {
+    const dimensions = file.width || file.height ? `${file.width}x${file.height}` : ''
+    console.log(`${file.name.padEnd(32, ' ')} ${String(file.size).padStart(10, ' ')}  ${dimensions}`)
+  }
+  for (const error of result.errors) {
+    console.error(`error: ${error}`)
+  }
+  for (const warning of result.warnings) {
+    console.error(`warning: ${warning}`)
+  }
+
+  if (!result.valid) {
+    process.exitCode = 1
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (args.help || !args.command) {
+    console.log(USAGE)
+    return
+  }
+
+  if (args.command === 'schema') {
+    await schema()
+    return
+  }
+
+  if (!args.input) {
+    throw new Error(`Missing input file for "${args.command}"`)
+  }
+
+  if (args.command === 'build') {
+    // the_build_modules_print_a_lot_of_debugging_information，only_show_it_when_requested
+    if (!args.verbose) {
+      console.log = () => {}
+      console.info = () => {}
+      console.warn = () => {}
+    }
+    await build(args)
+  } else if (args.command === 'validate') {
+    await validate(args)
+  } else if (args.command === 'inspect') {
+    await inspect(args)
+  } else {
+    throw new Error(`Unknown command: ${args.command}`)
+  }
+}
+
+main().catch(error => {
+  process.stderr.write(`Error: ${error.message}\n`)
+  process.exit(1)
+})
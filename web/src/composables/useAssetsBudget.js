@@ -0,0 +1,111 @@
+import { ref, computed } from 'vue'
+import AssetsBuilder from '@/utils/AssetsBuilder.js'
+import { useDeviceStatus } from './useDeviceStatus.js'
+
+const PARTITION_SIZE_KEY = 'xiaozhi-assets-partition-size'
+const BUDGET_DELAY = 800 // wait_for_the_configuration_to_stop_changing_before_recalculating
+
+// global_shared_budget_status
+const budget = ref(null)
+const isCalculating = ref(false)
+const budgetError = ref('')
+const manualPartitionSize = ref(Number(localStorage.getItem(PARTITION_SIZE_KEY)) || 0)
+
+// the_budget_uses_its_own_builder，the_converted_font_is_cached_between_calculations
+let builder = null
+let timer = null
+let pendingConfig = null
+
+const { deviceInfo } = useDeviceStatus()
+
+// the_partition_size_entered_by_hand_takes_precedence_over_the_device
+const partitionSize = computed(() => {
+  return manualPartitionSize.value || deviceInfo.value.assetsPartition?.size || 0
+})
+
+const partitionSource = computed(() => {
+  if (manualPartitionSize.value) return 'manual'
+  if (deviceInfo.value.assetsPartition?.size) return 'device'
+  return ''
+})
+
+const remainingSize = computed(() => {
+  if (!budget.value || !partitionSize.value) return null
+  return partitionSize.value - budget.value.totalSize
+})
+
+const isOverBudget = computed(() => remainingSize.value !== null && remainingSize.value < 0)
+
+// set_the_partition_size_by_hand，0_means_use_the_device_value
+const setPartitionSize = (size) => {
+  const value = Math.max(0, Math.round(Number(size) || 0))
+  manualPartitionSize.value = value
+  if (value) {
+    localStorage.setItem(PARTITION_SIZE_KEY, String(value))
+  } else {
+    localStorage.removeItem(PARTITION_SIZE_KEY)
+  }
+}
+
+// calculate_the_budget_immediately；calls_during_a_calculation_are_merged_into_one_rerun
+const calculateBudget = async (config) => {
+  pendingConfig = config
+  if (isCalculating.value) return
+
+  isCalculating.value = true
+  try {
+    while (pendingConfig) {
+      const current = pendingConfig
+      pendingConfig = null
+
+      if (!builder) {
+        builder = new AssetsBuilder()
+        builder.setAutoSave(false)
+      }
+
+      try {
+        builder.setConfig(current, { strict: false })
+        budget.value = await builder.calculateBudget()
+        budgetError.value = ''
+      } catch (error) {
+        console.warn('计算空间预算失败:', error)
+        budget.value = null
+        budgetError.value = error.message
+      }
+    }
+  } finally {
+    isCalculating.value = false
+  }
+}
+
+// recalculate_after_the_configuration_has_stopped_changing
+const scheduleBudget = (config) => {
+  if (timer) clearTimeout(timer)
+  timer = setTimeout(() => {
+    timer = null
+    calculateBudget(config)
+  }, BUDGET_DELAY)
+}
+
+/**
+ * space_budget Composable
+ * calculate_the_actual_size_of_each_packed_file_and_compare_it_with_the_assets_partition
+ */
+export function useAssetsBudget() {
+  return {
+    // state
+    budget,
+    isCalculating,
+    budgetError,
+    manualPartitionSize,
+    partitionSize,
+    partitionSource,
+    remainingSize,
+    isOverBudget,
+
+    // method
+    setPartitionSize,
+    calculateBudget,
+    scheduleBudget
+  }
+}
@@ -4,6 +4,7 @@ import './style.css'
 import App from './App.vue'
 import router from './router'
 import { messages, getBrowserLanguage } from './locales'
+import emojiPackRegistry from './utils/EmojiPackRegistry.js'
 
 const i18n = createI18n({
   legacy: false,
@@ -15,4 +16,8 @@ const i18n = createI18n({
 const app = createApp(App)
 app.use(router)
 app.use(i18n)
-app.mount('#app')
+
+// 预设表情包清单（static/<pack>/pack.json）在挂载前读取，构建和界面都同步使用
+emojiPackRegistry.load()
+  .catch(error => console.error('加载预设表情包清单失败:', error))
+  .finally(() => app.mount('#app'))
@@ -0,0 +1,518 @@
+/**
+ * AssetsBinImporter kind
+ * restore_an_existing assets.bin to_an_editable_configuration
+ *
+ * main_functions：
+ * - read index.json，restore chip and theme configuration
+ * - from srmodels.bin restore_wake_word
+ * - restore_fonts、emoticons_and_background_images，and_write_back AssetsBuilder.resources
+ */
+
+import AssetsBinParser from './AssetsBinParser.js'
+import WakenetModelPacker from './WakenetModelPacker.js'
+import imageProcessor from './ImageProcessor.js'
+import lvglImage from './LvglImage.js'
+import emojiConverter, { EMOJI_FIT_CODES } from './EmojiConverter.js'
+import emotionRegistry from './EmotionRegistry.js'
+import emojiPackRegistry from './EmojiPackRegistry.js'
+import browserFontConverter, { FONT_COMPRESSION_NONE } from './font_conv/BrowserFontConverter.js'
+import { getPlatform } from './platform/index.js'
+
+const MIME_TYPES = {
+  png: 'image/png',
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+}
+
+class AssetsBinImporter {
+  /**
+   * @param {AssetsBuilder} assetsBuilder - the_builder_that_receives_the_restored_resources（see restoreResources）
+   */
+  constructor(assetsBuilder) {
+    this.assetsBuilder = assetsBuilder
+    this.parser = new AssetsBinParser()
+    this.warnings = []
+    this.convertedFont = null // {name, data, metadata}，written_by restoreResources
+  }
+
+  /**
+   * import assets.bin document
+   * @param {File|Blob} file - assets.bin document
+   * @returns {Promise<Object>} {config, warnings}
+   */
+  async importFile(file) {
+    const buffer = await file.arrayBuffer()
+    return this.importBuffer(buffer)
+  }
+
+  /**
+   * import assets.bin data
+   * @param {ArrayBuffer} buffer - assets.bin data
+   * @returns {Promise<Object>} {config, warnings}
+   */
+  async importBuffer(buffer) {
+    this.warnings = []
+    this.convertedFont = null
+
+    const result = this.parser.parse(buffer)
+    if (!result.valid) {
+      throw new Error(`Invalid assets.bin: ${result.errors.join('; ')}`)
+    }
+
+    const index = this.parser.getIndexJson()
+    if (!index) {
+      throw new Error('index.json not found in assets.bin')
+    }
+
+    const config = this.createDefaultConfig()
+
+    // restore_chip_and_display_configuration
+    if (index.chip_model) {
+      config.chip.model = index.chip_model
+    } else {
+      this.warnings.push('Chip model not recorded in index.json')
+    }
+    if (index.display_config) {
+      config.chip.display.width = index.display_config.width || config.chip.display.width
+      config.chip.display.height = index.display_config.height || config.chip.display.height
+      config.chip.display.color = index.display_config.color || config.chip.display.color
+    }
+
+    if (index.srmodels) {
+      config.theme.wakeword = this.importWakeword(index.srmodels)
+    }
+
+    if (index.text_font) {
+      config.theme.font = await this.importFont(index.text_font)
+    }
+
+    if (Array.isArray(index.emoji_collection) && index.emoji_collection.length > 0) {
+      config.theme.emoji = await this.importEmojiCollection(index.emoji_collection, config.chip)
+    }
+
+    if (index.skin) {
+      config.theme.skin = await this.importSkin(index.skin, config.theme.skin)
+    }
+
+    return { config, warnings: [...this.warnings] }
+  }
+
+  /**
+   * hand_the_imported_files_to_the_builder_and_save_them
+   * importBuffer_does_not_touch_the_builder，so_the_current_data_can_be_cleared_after_a_successful_import
+   * @param {Object} config - configuration_returned_by importBuffer
+   */
+  async restoreResources(config) {
+    if (this.convertedFont) {
+      const { name, data, metadata } = this.convertedFont
+      this.assetsBuilder.convertedFonts.set(name, data)
+      try {
+        await this.assetsBuilder.configStorage.saveTempData(`converted_font_${name}`, data, 'converted_font', metadata)
+      } catch (error) {
+        console.warn(`Failed to save converted font: ${name}`, error)
+      }
+    }
+    this.assetsBuilder.registerConfigResources(config)
+  }
+
+  /**
+   * create_a_configuration_with_the_same_structure_as_the_editor_default_value
+   * @returns {Object} default_configuration
+   */
+  createDefaultConfig() {
+    return {
+      chip: {
+        model: '',
+        display: {
+          width: 320,
+          height: 240,
+          color: 'RGB565'
+        }
+      },
+      theme: {
+        wakeword: '',
+        font: {
+          type: 'none',
+          preset: '',
+          custom: {
+            file: null,
+            size: 20,
+            bpp: 4,
+            charset: 'deepseek',
+            compress: false,
+            kerning: false,
+            fallbacks: [],
+            icons: { type: 'none', preset: '', file: null, range: '' }
+          }
+        },
+        emoji: {
+          type: 'none',
+          preset: '',
+          custom: {
+            size: { width: 64, height: 64 },
+            images: {},
+            fileMap: {},
+            emotionMap: {}
+          }
+        },
+        skin: {
+          light: {
+            backgroundType: 'color',
+            backgroundColor: '#ffffff',
+            textColor: '#000000',
+            backgroundImage: null
+          },
+          dark: {
+            backgroundType: 'color',
+            backgroundColor: '#121212',
+            textColor: '#ffffff',
+            backgroundImage: null
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * get_the_mapping_table_entry_and_data_of_the_file
+   * @param {string} name - file_name
+   * @returns {Object|null} {entry, data}
+   */
+  getPackedFile(name) {
+    const entry = this.parser.getFile(name)
+    if (!entry) {
+      this.warnings.push(`File referenced by index.json is missing: ${name}`)
+      return null
+    }
+    return { entry, data: this.parser.getFileData(name) }
+  }
+
+  /**
+   * restore_wake_word_from srmodels.bin
+   * @param {string} filename - srmodels file_name
+   * @returns {string} wake_word_model_name
+   */
+  importWakeword(filename) {
+    const packed = this.getPackedFile(filename)
+    if (!packed) return ''
+
+    try {
+      const models = WakenetModelPacker.unpackModels(packed.data)
+      if (models.length === 0) {
+        this.warnings.push('srmodels.bin contains no models')
+        return ''
+      }
+      if (models.length > 1) {
+        this.warnings.push(`srmodels.bin contains ${models.length} models, only ${models[0].name} was restored`)
+      }
+      return models[0].name
+    } catch (error) {
+      this.warnings.push(`Failed to read srmodels.bin: ${error.message}`)
+      return ''
+    }
+  }
+
+  /**
+   * restore_font_configuration
+   * preset_fonts_only_record_the_name；custom_fonts_keep_the_converted_binary，avoid_reconversion
+   * @param {string} filename - font_file_name
+   * @returns {Promise<Object>} font_configuration
+   */
+  async importFont(filename) {
+    const font = this.createDefaultConfig().theme.font
+    const packed = this.getPackedFile(filename)
+    if (!packed) return font
+
+    const baseName = filename.replace(/\.bin$/, '')
+
+    if (!baseName.startsWith('font_custom_') && await this.isPresetFont(baseName)) {
+      font.type = 'preset'
+      font.preset = baseName
+      return font
+    }
+
+    // the_file_name_records_the_font_size_and_bpp（font_custom_<size>_<bpp>.bin）
+    const match = baseName.match(/_(\d+)_(\d+)$/)
+    if (match) {
+      font.custom.size = parseInt(match[1])
+      font.custom.bpp = parseInt(match[2])
+    } else {
+      this.warnings.push(`Unable to determine size and bpp of font ${filename}, defaults used`)
+    }
+
+    // glyph_compression_and_the_kerning_table_are_recorded_in_the_font_header
+    try {
+      const glyphs = browserFontConverter.inspectCBIN(packed.data)
+      font.custom.compress = glyphs.compression !== FONT_COMPRESSION_NONE
+      font.custom.kerning = Boolean(glyphs.kernFormat)
+    } catch (error) {
+      this.warnings.push(`Unable to read font ${filename}: ${error.message}`)
+    }
+
+    // the_converted_font_is_cached_under_the_file_name_that_AssetsBuilder.getFontInfo_will_generate
+    const convertedName = `font_custom_${font.custom.size}_${font.custom.bpp}.bin`
+    const fontFile = new File([packed.data], convertedName, { type: 'application/octet-stream' })
+
+    font.type = 'custom'
+    font.custom.file = fontFile
+
+    this.convertedFont = {
+      name: convertedName,
+      data: packed.data,
+      metadata: {
+        filename: convertedName,
+        size: font.custom.size,
+        bpp: font.custom.bpp,
+        charset: font.custom.charset,
+        compress: font.custom.compress,
+        kerning: font.custom.kerning
+      }
+    }
+
+    this.warnings.push('Custom font restored as converted binary; re-upload the original font file to change its size, bpp, charset, compression or kerning')
+    return font
+  }
+
+  /**
+   * check_whether_the_preset_font_exists
+   * @param {string} name - font_name
+   * @returns {Promise<boolean>} whether_it_exists
+   */
+  async isPresetFont(name) {
+    return await getPlatform().staticExists(`fonts/${name}.bin`)
+  }
+
+  /**
+   * restore_emoticon_collection
+   * preset_packs_use <name>.png file_name，custom_emoticons_use_a_shared_file_name_after_deduplication
+   * lvgl_native_images（.bin）are_converted_back_to png，.anim frame_sequences_are_kept_as_is（they_can_be_packed_again_in_native_formats）
+   * @param {Array} collection - index.json of emoji_collection
+   * @param {Object} chip - restored_chip_configuration（used_to_resolve_the_auto_image_format）
+   * @returns {Promise<Object>} expression_configuration
+   */
+  async importEmojiCollection(collection, chip = {}) {
+    const emoji = this.createDefaultConfig().theme.emoji
+    this.restoreEmojiFormat(emoji, collection, chip)
+
+    // preset_packs_are_recognized_by_size_and_emotion_list，unknown_packs_are_restored_as_custom_emoticons
+    const isPreset = collection.every(item => item.file === `${item.name}.png` || item.file === `${item.name}.bin`)
+    if (isPreset) {
+      await emojiPackRegistry.load()
+      const firstEntry = this.parser.getFile(collection[0].file)
+      const pack = emojiPackRegistry.findPack(collection.map(item => item.name), { width: firstEntry?.width, height: firstEntry?.height })
+      if (pack) {
+        emoji.type = 'preset'
+        emoji.preset = pack.id
+        return emoji
+      }
+    }
+
+    const { images, fileMap, emotionMap } = emoji.custom
+    const hashByFilename = new Map()
+    let sizeRestored = false
+
+    for (const item of collection) {
+      if (!hashByFilename.has(item.file)) {
+        const packed = this.getPackedFile(item.file)
+        if (!packed) continue
+
+        const ext = item.file.split('.').pop().toLowerCase()
+        let file
+        if (ext === 'anim' && emojiConverter.isAnimation(packed.data)) {
+          file = new File([packed.data], item.file, { type: 'application/octet-stream' })
+        } else if (ext === 'bin' || ext === 'anim') {
+          file = this.nativeEmojiToPng(packed.data, item.file)
+          if (!file) continue
+        } else {
+          file = new File([packed.data], item.file, { type: MIME_TYPES[ext] || 'application/octet-stream' })
+        }
+        const fileHash = await this.calculateHash(await file.arrayBuffer())
+
+        fileMap[fileHash] = file
+        hashByFilename.set(item.file, fileHash)
+
+        if (packed.entry.width && packed.entry.height && !sizeRestored && !this.parseSizeOverride(item.file)) {
+          emoji.custom.size = { width: packed.entry.width, height: packed.entry.height }
+          sizeRestored = true
+        }
+      }
+
+      const fileHash = hashByFilename.get(item.file)
+      emotionMap[item.name] = fileHash
+      images[item.name] = fileMap[fileHash]
+
+      const override = this.parseSizeOverride(item.file)
+      if (override) {
+        emoji.custom.sizes = { ...emoji.custom.sizes, [item.name]: override }
+      }
+    }
+
+    // emotions_that_are_not_built_in_are_restored_as_custom_emotions
+    const customKeys = Object.keys(emotionMap).filter(key => !emotionRegistry.isBuiltin(key))
+    if (customKeys.length > 0) {
+      emoji.custom.emotions = customKeys.map(key => ({ key }))
+    }
+
+    emoji.type = Object.keys(emotionMap).length > 0 ? 'custom' : 'none'
+    return emoji
+  }
+
+
+  /**
+   * read_the_size_override_from_a_packed_file_name（emoji_<hash>_<width>x<height><fit_code>.<ext>，see AssetsBuilder）
+   * @param {string} filename - packed_file_name
+   * @returns {Object|null} {width, height, fit}
+   */
+  parseSizeOverride(filename) {
+    const match = /^emoji_[0-9a-f]{8}_(\d+)x(\d+)([a-z])\.[a-z]+$/.exec(filename)
+    const fit = match && Object.keys(EMOJI_FIT_CODES).find(mode => EMOJI_FIT_CODES[mode] === match[3])
+    if (!fit) return null
+    return { width: parseInt(match[1]), height: parseInt(match[2]), fit }
+  }
+
+  /**
+   * convert_a_lvgl_native_emoticon_to_a_png_file
+   * @param {ArrayBuffer} data - .bin or .anim data
+   * @param {string} filename - packed_file_name
+   * @returns {File|null} png_file
+   */
+  nativeEmojiToPng(data, filename) {
+    try {
+      const decoded = emojiConverter.decode(data)
+      if (decoded.frames.length > 1) {
+        this.warnings.push(`${filename} is an animated emoji, only the first frame was imported`)
+      }
+      const png = imageProcessor.encodePng(decoded.frames[0])
+      return new File([png], filename.replace(/\.(bin|anim)$/, '.png'), { type: 'image/png' })
+    } catch (error) {
+      this.warnings.push(`Failed to decode ${filename}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * restore_the_emoticon_image_format，only_written_when_auto_would_give_a_different_result
+   * @param {Object} emoji - expression_configuration
+   * @param {Array} collection - index.json of emoji_collection
+   * @param {Object} chip - chip_configuration
+   */
+  restoreEmojiFormat(emoji, collection, chip) {
+    const native = collection.find(item => /\.(bin|anim)$/.test(item.file))
+    let format = 'original'
+    if (native) {
+      if (!this.parser.getFile(native.file)) return
+      const bytes = new Uint8Array(this.parser.getFileData(native.file))
+      const animation = emojiConverter.parseAnimation(bytes)
+      const first = animation?.frames[0]
+      const header = this.parser.parseRawImageHeader(first ? bytes.subarray(first.offset, first.offset + first.size) : bytes)
+      format = header ? lvglImage.getFormatByCf(header.colorFormat) : null
+      if (!emojiConverter.isNative(format)) return
+    }
+    if (format !== emojiConverter.resolveFormat('auto', chip)) {
+      emoji.imageFormat = format
+    }
+  }
+
+  /**
+   * calculate_file_hash（consistent_with_EmojiConfig）
+   * @param {ArrayBuffer} buffer - file_data
+   * @returns {Promise<string>} SHA-256 hexadecimal_string
+   */
+  async calculateHash(buffer) {
+    const hashBuffer = await crypto.subtle.digest('SHA-256', buffer)
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * restore_skin_configuration
+   * @param {Object} skin - index.json of skin
+   * @param {Object} defaults - default_skin_configuration
+   * @returns {Promise<Object>} skin_configuration
+   */
+  async importSkin(skin, defaults) {
+    const result = {}
+
+    for (const mode of ['light', 'dark']) {
+      const source = skin[mode] || {}
+      const target = {
+        ...defaults[mode],
+        textColor: source.text_color || defaults[mode].textColor,
+        backgroundColor: source.background_color || defaults[mode].backgroundColor
+      }
+
+      if (source.background_image) {
+        const imageFile = await this.importBackgroundImage(source.background_image, mode)
+        if (imageFile) {
+          target.backgroundType = 'image'
+          target.backgroundImage = imageFile
+
+          // keep_the_compression_of_the_original_package
+          const compress = this.getBackgroundCompression(source.background_image)
+          if (compress && compress !== 'none') result.compress = compress
+        }
+      }
+
+      result[mode] = target
+    }
+
+    return result
+  }
+
+  /**
+   * compression_method_of_a_packed_background
+   * @param {string} filename - raw file_name
+   * @returns {string|null} none、rle、lz4
+   */
+  getBackgroundCompression(filename) {
+    const packed = this.getPackedFile(filename)
+    if (!packed) return null
+    const header = this.parser.parseRawImageHeader(new Uint8Array(packed.data))
+    return header ? lvglImage.getCompression(packed.data, header) : null
+  }
+
+  /**
+   * restore_the_background .raw convert_to PNG document
+   * @param {string} filename - raw file_name
+   * @param {string} mode - light or dark
+   * @returns {Promise<File|null>} PNG document
+   */
+  async importBackgroundImage(filename, mode) {
+    const packed = this.getPackedFile(filename)
+    if (!packed) return null
+
+    const header = this.parser.parseRawImageHeader(new Uint8Array(packed.data))
+    if (!header) {
+      this.warnings.push(`${filename} is not a valid LVGL image`)
+      return null
+    }
+    if (!lvglImage.getFormatByCf(header.colorFormat)) {
+      this.warnings.push(`${filename} uses unsupported color format 0x${header.colorFormat.toString(16)}`)
+      return null
+    }
+
+    try {
+      const blob = await this.rawImageToPng(packed.data, header)
+      const file = new File([blob], `background_${mode}.png`, { type: 'image/png' })
+      return file
+    } catch (error) {
+      this.warnings.push(`Failed to decode ${filename}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * convert LVGL raw data_to PNG
+   * @param {ArrayBuffer} data - raw file_data（contains_28_byte_header）
+   * @param {Object} header - parsed_image_header
+   * @returns {Promise<Blob>} PNG data
+   */
+  async rawImageToPng(data, header) {
+    const image = lvglImage.decode(data, header)
+    const png = imageProcessor.encodePng(image)
+    return new Blob([png], { type: 'image/png' })
+  }
+}
+
+export default AssetsBinImporter
@@ -0,0 +1,323 @@
+/**
+ * AssetsBinParser kind
+ * SpiffsGenerator.generate reverse_operation，used_to_parse_an_existing assets.bin document
+ *
+ * main_functions：
+ * - parse_header (total_files, checksum, combined_data_length)
+ * - parse_file_mapping_table（var_44_bytes_per_item）
+ * - check_the_0x5a5a_mark_in_front_of_each_file
+ * - recalculate_and_verify_checksum
+ * - extract_a_single_file
+ */
+
+const HEADER_SIZE = 12 // total_files + checksum + combined_data_length
+const MMAP_ENTRY_SIZE = 32 + 4 + 4 + 2 + 2 // name + size + offset + width + height
+const FILENAME_LENGTH = 32
+const FILE_PREFIX = 0x5A5A
+
+// LVGL image header（the_format_written_by_LvglImage.encode）
+const LV_IMAGE_HEADER_MAGIC = 0x19
+const LV_IMAGE_DSC_SIZE = 28
+
+const MIME_TYPES = {
+  json: 'application/json',
+  png: 'image/png',
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  bmp: 'image/bmp'
+}
+
+class AssetsBinParser {
+  constructor() {
+    this.buffer = null
+    this.result = null
+    this.textDecoder = new TextDecoder()
+  }
+
+  /**
+   * parse assets.bin data
+   * @param {ArrayBuffer|Uint8Array} data - assets.bin data
+   * @returns {Object} parse_result {totalFiles, checksum, computedChecksum, checksumValid, combinedDataLength, totalSize, files, errors, warnings}
+   */
+  parse(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+
+    if (bytes.length < HEADER_SIZE) {
+      throw new Error(`File too small to be assets.bin (${bytes.length} bytes)`)
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const totalFiles = view.getUint32(0, true)
+    const checksum = view.getUint32(4, true)
+    const combinedDataLength = view.getUint32(8, true)
+
+    const mmapTableSize = totalFiles * MMAP_ENTRY_SIZE
+    if (HEADER_SIZE + mmapTableSize > bytes.length) {
+      throw new Error(`File mapping table for ${totalFiles} files exceeds file size`)
+    }
+
+    const errors = []
+    const warnings = []
+
+    const actualCombinedLength = bytes.length - HEADER_SIZE
+    if (combinedDataLength !== actualCombinedLength) {
+      const message = `Header data length ${combinedDataLength} does not match actual length ${actualCombinedLength}`
+      if (combinedDataLength > actualCombinedLength) {
+        errors.push(message)
+      } else {
+        warnings.push(message)
+      }
+    }
+
+    // checksum_covers_the_mapping_table_and_the_merged_data
+    const checkedLength = Math.min(combinedDataLength, actualCombinedLength)
+    const computedChecksum = this.computeChecksum(bytes.subarray(HEADER_SIZE, HEADER_SIZE + checkedLength))
+    const checksumValid = computedChecksum === checksum
+    if (!checksumValid) {
+      errors.push(`Checksum mismatch: header 0x${checksum.toString(16)}, computed 0x${computedChecksum.toString(16)}`)
+    }
+
+    // parse_file_mapping_table
+    const dataStart = HEADER_SIZE + mmapTableSize
+    const files = []
+
+    for (let i = 0; i < totalFiles; i++) {
+      const entryOffset = HEADER_SIZE + i * MMAP_ENTRY_SIZE
+      const name = this.readString(bytes, entryOffset, FILENAME_LENGTH)
+      const size = view.getUint32(entryOffset + 32, true)
+      const offset = view.getUint32(entryOffset + 36, true)
+      const width = view.getUint16(entryOffset + 40, true)
+      const height = view.getUint16(entryOffset + 42, true)
+
+      // the_offset_points_to_the_0x5a5a_mark，the_file_data_follows_it
+      const prefixOffset = dataStart + offset
+      const dataOffset = prefixOffset + 2
+      const inBounds = dataOffset + size <= bytes.length
+      const prefixValid = prefixOffset + 2 <= bytes.length && view.getUint16(prefixOffset, false) === FILE_PREFIX
+
+      if (!inBounds) {
+        errors.push(`File "${name}" extends beyond end of data`)
+      } else if (!prefixValid) {
+        errors.push(`File "${name}" is missing the 0x5A5A prefix`)
+      }
+
+      files.push({
+        index: i,
+        name,
+        size,
+        offset,
+        width,
+        height,
+        dataOffset,
+        prefixValid,
+        valid: inBounds && prefixValid
+      })
+    }
+
+    // the_size_of_the_background_image_is_not_written_to_the_mapping_table，read_it_from_the_lvgl_header
+    for (const file of files) {
+      if (file.valid && file.width === 0 && file.height === 0 && file.name.toLowerCase().endsWith('.raw')) {
+        const imageHeader = this.parseRawImageHeader(bytes.subarray(file.dataOffset, file.dataOffset + file.size))
+        if (imageHeader) {
+          file.imageHeader = imageHeader
+        }
+      }
+    }
+
+    this.buffer = bytes
+    this.result = {
+      totalFiles,
+      checksum,
+      computedChecksum,
+      checksumValid,
+      combinedDataLength,
+      totalSize: bytes.length,
+      files,
+      errors,
+      warnings,
+      valid: errors.length === 0
+    }
+
+    return this.result
+  }
+
+  /**
+   * parse assets.bin document
+   * @param {File|Blob} file - assets.bin document
+   * @returns {Promise<Object>} parse_result
+   */
+  async parseFile(file) {
+    const buffer = await file.arrayBuffer()
+    return this.parse(buffer)
+  }
+
+  /**
+   * read_zeropadded_fixedlength_strings
+   * @param {Uint8Array} bytes - data
+   * @param {number} offset - starting_offset
+   * @param {number} maxLen - maximum_length
+   * @returns {string} string
+   */
+  readString(bytes, offset, maxLen) {
+    let end = offset
+    while (end < offset + maxLen && bytes[end] !== 0) {
+      end++
+    }
+    return this.textDecoder.decode(bytes.subarray(offset, end))
+  }
+
+  /**
+   * calculate_checksum（consistent_with_SpiffsGenerator.computeChecksum）
+   * @param {Uint8Array} data - data
+   * @returns {number} 16-bit checksum
+   */
+  computeChecksum(data) {
+    let checksum = 0
+    for (let i = 0; i < data.length; i++) {
+      checksum += data[i]
+    }
+    return checksum & 0xFFFF
+  }
+
+  /**
+   * parse_the_lvgl_image_header_of_a_raw_file
+   * @param {Uint8Array} data - raw file_data
+   * @returns {Object|null} {magic, colorFormat, flags, width, height, stride, dataSize, headerSize}
+   */
+  parseRawImageHeader(data) {
+    if (data.length < LV_IMAGE_DSC_SIZE) return null
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+    const headerWord1 = view.getUint32(0, true)
+    const magic = headerWord1 & 0xFF
+    if (magic !== LV_IMAGE_HEADER_MAGIC) return null
+
+    const sizeWord = view.getUint32(4, true)
+
+    return {
+      magic,
+      colorFormat: (headerWord1 >> 8) & 0xFF,
+      flags: (headerWord1 >>> 16) & 0xFFFF,
+      width: sizeWord & 0xFFFF,
+      height: (sizeWord >>> 16) & 0xFFFF,
+      stride: view.getUint32(8, true) & 0xFFFF,
+      dataSize: view.getUint32(12, true),
+      headerSize: view.getUint32(16, true)
+    }
+  }
+
+  /**
+   * make_sure_it_has_been_parsed
+   */
+  ensureParsed() {
+    if (!this.result) {
+      throw new Error('No assets.bin has been parsed')
+    }
+  }
+
+  /**
+   * find_files_by_name
+   * @param {string} name - file_name
+   * @returns {Object|null} file_information
+   */
+  getFile(name) {
+    this.ensureParsed()
+    return this.result.files.find(file => file.name === name) || null
+  }
+
+  /**
+   * get_file_data
+   * @param {string} name - file_name
+   * @returns {ArrayBuffer} file_data（copy）
+   */
+  getFileData(name) {
+    const file = this.getFile(name)
+    if (!file) {
+      throw new Error(`File not found: ${name}`)
+    }
+    if (file.dataOffset + file.size > this.buffer.length) {
+      throw new Error(`File data out of range: ${name}`)
+    }
+
+    const start = this.buffer.byteOffset + file.dataOffset
+    return this.buffer.buffer.slice(start, start + file.size)
+  }
+
+  /**
+   * get_file_data_as Blob
+   * @param {string} name - file_name
+   * @returns {Blob} file_data
+   */
+  getFileBlob(name) {
+    const ext = name.split('.').pop()?.toLowerCase() || ''
+    const type = MIME_TYPES[ext] || 'application/octet-stream'
+    return new Blob([this.getFileData(name)], { type })
+  }
+
+  /**
+   * read_and_parse index.json
+   * @returns {Object|null} index.json content，return_null_if_not_present
+   */
+  getIndexJson() {
+    if (!this.getFile('index.json')) return null
+
+    const text = this.textDecoder.decode(this.getFileData('index.json'))
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      throw new Error(`Failed to parse index.json: ${error.message}`)
+    }
+  }
+
+  /**
+   * download_a_single_file
+   * @param {string} name - file_name
+   */
+  downloadFile(name) {
+    const blob = this.getFileBlob(name)
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = name
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * get_file_statistics
+   * @returns {Object} statistics
+   */
+  getStats() {
+    this.ensureParsed()
+
+    const fileTypes = new Map()
+    let dataSize = 0
+
+    for (const file of this.result.files) {
+      dataSize += file.size
+      const ext = file.name.split('.').pop()?.toLowerCase() || 'unknown'
+      fileTypes.set(ext, (fileTypes.get(ext) || 0) + 1)
+    }
+
+    return {
+      fileCount: this.result.files.length,
+      dataSize,
+      overhead: this.result.totalSize - dataSize,
+      fileTypes: Object.fromEntries(fileTypes)
+    }
+  }
+
+  /**
+   * clear_parsing_results
+   */
+  clear() {
+    this.buffer = null
+    this.result = null
+  }
+}
+
+export default AssetsBinParser
@@ -10,11 +10,23 @@
  * - integrated_browserside_font_conversion_function
  */
 
-import browserFontConverter from './font_conv/BrowserFontConverter.js'
+import browserFontConverter, { FONT_COMPRESSION_NONE, FONT_COMPRESSION_RLE } from './font_conv/BrowserFontConverter.js'
 import WakenetModelPacker from './WakenetModelPacker.js'
 import SpiffsGenerator from './SpiffsGenerator.js'
 import WasmGifScaler from './WasmGifScaler.js'
 import configStorage from './ConfigStorage.js'
+import imageProcessor from './ImageProcessor.js'
+import lvglImage, { DEFAULT_COLOR_FORMAT, DEFAULT_DITHER, DEFAULT_COMPRESS } from './LvglImage.js'
+import emojiConverter, { EMOJI_FIT_MODES, DEFAULT_EMOJI_FIT, EMOJI_FIT_CODES } from './EmojiConverter.js'
+import emotionRegistry from './EmotionRegistry.js'
+import emojiPackRegistry from './EmojiPackRegistry.js'
+import iconFontRegistry from './IconFontRegistry.js'
+import themeManifest from './ThemeManifest.js'
+import { getPlatform } from './platform/index.js'
+
+const BUILD_MANIFEST_VERSION = 1
+const DEFAULT_GIF_LOSSY = 30
+const DEFAULT_GIF_LEVEL = 2
 
 class AssetsBuilder {
   constructor() {
@@ -23,6 +35,7 @@ class AssetsBuilder {
     this.tempFiles = [] // temporary_file_list
     this.fontConverterBrowser = browserFontConverter // browser_font_converter
     this.convertedFonts = new Map() // caching_converted_fonts
+    this.convertedFontKeys = new Map() // conversion_options_of_the_cached_fonts
     this.wakenetPacker = new WakenetModelPacker() // wake_word_model_packager
     this.spiffsGenerator = new SpiffsGenerator() // SPIFFS generator
     this.gifScaler = new WasmGifScaler({ 
@@ -34,6 +47,10 @@ class AssetsBuilder {
     }) // WASM GIF scaler
     this.configStorage = configStorage // configure_storage_manager
     this.autoSaveEnabled = true // whether_to_enable_automatic_saving
+    this.buildSteps = new Map() // processing_records_of_each_packed_file
+    this.uncompressedSizes = new Map() // size_of_compressed_files_before_compression
+    this.buildManifest = null // build_manifest_of_the_last_generation
+    this.emojiFrameCounts = new Map() // frame_count_of_each_custom_emoticon（by_file hash）
   }
 
   /**
@@ -42,46 +59,29 @@ class AssetsBuilder {
    */
   setConfig(config, options = {}) {
     const strict = options?.strict ?? true
-    if (strict && !this.validateConfig(config)) {
-      throw new Error('Configuration object validation failed')
+    if (strict) {
+      const { valid, errors } = this.validateConfig(config)
+      if (!valid) {
+        const error = new Error(`Configuration object validation failed:\n${themeManifest.formatErrors(errors).join('\n')}`)
+        error.errors = errors
+        throw error
+      }
     }
     this.config = { ...config }
     return this
   }
 
   /**
-   * verify_configuration_object
+   * verify_configuration_object（according_to_the_theme_manifest JSON Schema）
    * @param {Object} config - configuration_object_to_be_verified
-   * @returns {boolean} verification_results
+   * @returns {Object} verification_results {valid, errors: [{path, message}]}
    */
   validateConfig(config) {
-    if (!config) return false
-    
-    // verify_chip_configuration
-    if (!config.chip?.model) {
-      console.error('Missing chip model configuration')
-      return false
-    }
-
-    // verify_display_configuration
-    const display = config.chip.display
-    if (!display?.width || !display?.height) {
-      console.error('Missing display resolution configuration')
-      return false
-    }
-
-    // verify_font_configuration
-    const font = config.theme?.font
-    if (font?.type === 'preset' && !font.preset) {
-      console.error('Preset font configuration is incomplete')
-      return false
-    }
-    if (font?.type === 'custom' && !font.custom?.file) {
-      console.error('Custom font file not provided')
-      return false
-    }
-
-    return true
+    const errors = themeManifest.validateConfig(config)
+    errors.forEach(error => {
+      console.error(`Invalid configuration: ${error.path || '(root)'} ${error.message}`)
+    })
+    return { valid: errors.length === 0, errors }
   }
 
   /**
@@ -111,6 +111,43 @@ class AssetsBuilder {
     return this
   }
 
+  /**
+   * register_the_files_referenced_by_the_configuration_as_resources（used_after_importing_a_configuration）
+   * @param {Object} config - configuration_object
+   */
+  registerConfigResources(config) {
+    const font = config?.theme?.font
+    if (font?.type === 'custom' && font.custom?.file) {
+      this.addResource('custom_font', font.custom.file, font.custom.file.name, 'font')
+      for (const fallback of font.custom.fallbacks || []) {
+        if (fallback.file) {
+          this.addResource(`custom_font_${fallback.id}`, fallback.file, fallback.file.name, 'font')
+        }
+      }
+      if (font.custom.icons?.type === 'custom' && font.custom.icons.file) {
+        this.addResource('custom_font_icons', font.custom.icons.file, font.custom.icons.file.name, 'font')
+      }
+    }
+
+    const emoji = config?.theme?.emoji
+    if (emoji?.type === 'custom') {
+      for (const [hash, file] of Object.entries(emoji.custom?.fileMap || {})) {
+        if (file) {
+          this.addResource(`hash_${hash}`, file, file.name, 'emoji')
+        }
+      }
+    }
+
+    for (const mode of ['light', 'dark']) {
+      const skin = config?.theme?.skin?.[mode]
+      if (skin?.backgroundType === 'image' && skin.backgroundImage) {
+        this.addResource(`background_${mode}`, skin.backgroundImage, skin.backgroundImage.name, 'background')
+      }
+    }
+
+    return this
+  }
+
   /**
    * save_file_to_storage
    * @param {string} key - resource_key_name
@@ -178,6 +215,29 @@ class AssetsBuilder {
       }
     }
 
+    // restore_fallback_font_files
+    if (config.theme?.font?.type === 'custom') {
+      for (const fallback of config.theme.font.custom?.fallbacks || []) {
+        const fallbackKey = `custom_font_${fallback.id}`
+        if (fallback.file === null && await this.restoreResourceFromStorage(fallbackKey)) {
+          const resource = this.resources.get(fallbackKey)
+          if (resource) {
+            fallback.file = resource.file
+            restoredFiles.push(`Fallback font: ${resource.filename}`)
+          }
+        }
+      }
+
+      const icons = config.theme.font.custom?.icons
+      if (icons?.type === 'custom' && icons.file === null && await this.restoreResourceFromStorage('custom_font_icons')) {
+        const resource = this.resources.get('custom_font_icons')
+        if (resource) {
+          icons.file = resource.file
+          restoredFiles.push(`Icon font: ${resource.filename}`)
+        }
+      }
+    }
+
     // restore_custom_emoticon_pictures（support_new hash remove_duplicate_structures）
     if (config.theme?.emoji?.type === 'custom' && config.theme.emoji.custom) {
       const emojiCustom = config.theme.emoji.custom
@@ -289,7 +349,9 @@ class AssetsBuilder {
       if (fontInfo && fontInfo.type === 'custom') {
         const tempKey = `converted_font_${fontInfo.filename}`
         const tempData = await this.configStorage.loadTempData(tempKey)
-        if (tempData) {
+        // the_font_header_does_not_record_the_fallback_fonts，compare_the_saved_file_names
+        const fallbacks = this.getFontSourceNames(fontInfo.config)
+        if (tempData && JSON.stringify(tempData.metadata?.fallbacks || []) === JSON.stringify(fallbacks)) {
           this.convertedFonts.set(fontInfo.filename, tempData.data)
           console.log(`Converted font data restored: ${fontInfo.filename}`)
         }
@@ -358,7 +420,21 @@ class AssetsBuilder {
         config: {
           size: custom.size,
           bpp: custom.bpp,
-          charset: custom.charset
+          charset: custom.charset,
+          symbols: custom.symbols || '',
+          range: custom.range || '',
+          compress: Boolean(custom.compress),
+          kerning: Boolean(custom.kerning),
+          // fallback_fonts_in_priority_order，sources_without_a_file_are_skipped
+          fallbacks: (custom.fallbacks || [])
+            .filter(fallback => fallback.file)
+            .map(fallback => ({
+              file: fallback.file,
+              charset: fallback.charset || '',
+              symbols: fallback.symbols || '',
+              range: fallback.range || ''
+            })),
+          icons: this.getIconSource(custom.icons)
         }
       }
     }
@@ -366,6 +442,71 @@ class AssetsBuilder {
     return null
   }
 
+  /**
+   * the_icon_font_merged_into_a_custom_font，null_when_no_icons_are_selected
+   * @param {Object} icons - font.custom.icons {type: none|preset|custom, preset, file, range}
+   * @returns {Object|null} {type, preset, file, name, range}
+   */
+  getIconSource(icons) {
+    if (!icons?.range) return null
+    if (icons.type === 'preset' && icons.preset) {
+      return { type: 'preset', preset: icons.preset, file: null, name: icons.preset, range: icons.range }
+    }
+    if (icons.type === 'custom' && icons.file) {
+      return { type: 'custom', preset: '', file: icons.file, name: icons.file.name, range: icons.range }
+    }
+    return null
+  }
+
+  /**
+   * names_of_the_fonts_merged_after_the_main_font（fallbacks，then_the_icon_font）
+   * @param {Object} config - font_configuration
+   * @returns {Array<string>} names
+   */
+  getFontSourceNames(config) {
+    return [
+      ...config.fallbacks.map(fallback => fallback.file.name),
+      ...(config.icons ? [config.icons.name] : [])
+    ]
+  }
+
+  /**
+   * the_icon_font_as_a_conversion_source，bundled_fonts_are_read_from_the_static_directory
+   * @param {Object} icons - getIconSource result
+   * @returns {Promise<Object>} {fontFile, fontName, range}
+   */
+  async loadIconFontSource(icons) {
+    if (icons.type === 'preset') {
+      await iconFontRegistry.load()
+      return {
+        fontFile: await iconFontRegistry.loadFontData(icons.preset),
+        fontName: iconFontRegistry.requireFont(icons.preset).file,
+        range: icons.range
+      }
+    }
+    return { fontFile: icons.file, fontName: icons.file.name, range: icons.range }
+  }
+
+  /**
+   * size_and_fit_mode_of_one_custom_emotion（custom.sizes overrides custom.size / custom.fit）
+   * @param {Object} custom - emoji.custom
+   * @param {string} emotionName - emotion_name
+   * @returns {Object} {size, fit, override}
+   */
+  getEmotionPlacement(custom, emotionName) {
+    const size = custom.size || { width: 64, height: 64 }
+    const fit = EMOJI_FIT_MODES.includes(custom.fit) ? custom.fit : DEFAULT_EMOJI_FIT
+    const override = custom.sizes?.[emotionName]
+    if (!override) {
+      return { size: { width: size.width, height: size.height }, fit, override: false }
+    }
+    return {
+      size: { width: override.width || size.width, height: override.height || size.height },
+      fit: EMOJI_FIT_MODES.includes(override.fit) ? override.fit : fit,
+      override: true
+    }
+  }
+
   /**
    * get_expression_collection_information
    * @returns {Array} expression_collection_information_array
@@ -379,20 +520,15 @@ class AssetsBuilder {
     const collection = []
     
     if (emoji.type === 'preset') {
-      // default_emoticon_pack
-      const presetEmojis = [
-        'neutral', 'happy', 'laughing', 'funny', 'sad', 'angry', 'crying',
-        'loving', 'embarrassed', 'surprised', 'shocked', 'thinking', 'winking',
-        'cool', 'relaxed', 'delicious', 'kissy', 'confident', 'sleepy', 'silly', 'confused'
-      ]
-      
-      const size = emoji.preset === 'twemoji32' ? '32' : '64'
-      presetEmojis.forEach(name => {
+      // default_emoticon_pack（size_and_emotions_come_from static/<pack>/pack.json）
+      const pack = emojiPackRegistry.requirePack(emoji.preset)
+      const extension = this.isNativeEmoji() ? emojiConverter.getExtension(false) : 'png'
+      pack.emotions.forEach(name => {
         collection.push({
           name,
-          file: `${name}.png`,
-          source: `preset:${emoji.preset}`,
-          size: { width: parseInt(size), height: parseInt(size) }
+          file: `${name}.${extension}`,
+          source: `preset:${pack.id}`,
+          size: { ...pack.size }
         })
       })
     } else if (emoji.type === 'custom') {
@@ -400,7 +536,6 @@ class AssetsBuilder {
       const images = emoji.custom.images || {}
       const emotionMap = emoji.custom.emotionMap || {}
       const fileMap = emoji.custom.fileMap || {}
-      const size = emoji.custom.size || { width: 64, height: 64 }
       
       // must_use_new hash mapping_structure
       if (Object.keys(emotionMap).length === 0 || Object.keys(fileMap).length === 0) {
@@ -409,28 +544,45 @@ class AssetsBuilder {
         throw new Error('Incompatible emoji data structure: Missing fileMap or emotionMap. Please reconfigure emojis.')
       }
       
+      // emotion_names_are_written_to index.json，custom_names_must_follow_the_registry_rules
+      for (const emotionName of Object.keys(emotionMap)) {
+        const error = emotionRegistry.validateKey(emotionName)
+        if (error) {
+          throw new Error(emotionRegistry.describeError(emotionName, error))
+        }
+      }
+
       // create hash mapping_to_file_names（used_to_remove_duplicates）
       const hashToFilename = new Map()
       
       Object.entries(emotionMap).forEach(([emotionName, fileHash]) => {
         const file = fileMap[fileHash]
         if (file) {
+          // emotions_with_a_size_override_get_their_own_file（the_same_image_at_another_size）
+          const placement = this.getEmotionPlacement(emoji.custom, emotionName)
+          const variant = placement.override ? `_${placement.size.width}x${placement.size.height}${EMOJI_FIT_CODES[placement.fit]}` : ''
+          const key = `${fileHash}${variant}`
+
           // for_each_unique_file hash generate_a_shared_file_name
-          if (!hashToFilename.has(fileHash)) {
-            const fileExtension = file.name ? file.name.split('.').pop().toLowerCase() : 'png'
+          if (!hashToFilename.has(key)) {
+            // native_formats_use .bin / .anim instead_of_the_original_extension
+            const fileExtension = this.isNativeEmoji()
+              ? emojiConverter.getExtension(this.isAnimatedEmoji(file, fileHash))
+              : file.name ? file.name.split('.').pop().toLowerCase() : 'png'
             // use hash the_first_8_digits_are_used_as_the_file_name，ensure_uniqueness
-            const sharedFilename = `emoji_${fileHash.substring(0, 8)}.${fileExtension}`
-            hashToFilename.set(fileHash, sharedFilename)
+            const sharedFilename = `emoji_${fileHash.substring(0, 8)}${variant}.${fileExtension}`
+            hashToFilename.set(key, sharedFilename)
           }
           
-          const sharedFilename = hashToFilename.get(fileHash)
+          const sharedFilename = hashToFilename.get(key)
           
           collection.push({
             name: emotionName,
             file: sharedFilename,  // multiple_expressions_may_point_to_the_same_file
             source: file,
             fileHash,  // reserve hash information_used_for_deduplication
-            size: { ...size }
+            size: { ...placement.size },
+            fit: placement.fit
           })
         }
       })
@@ -500,8 +652,8 @@ class AssetsBuilder {
       display_config: {
         width: this.config.chip.display.width,
         height: this.config.chip.display.height,
-        monochrome: false,
-        color: this.config.chip.display.color || 'RGB565'
+        monochrome: lvglImage.isMonochrome(this.getColorFormat()),
+        color: this.getColorFormat()
       }
     }
 
@@ -570,17 +722,17 @@ class AssetsBuilder {
 
     // add_emoticon_file（deduplication）
     const emojiCollection = this.getEmojiCollectionInfo()
-    const addedFileHashes = new Set()  // track_added_files hash
+    const addedFiles = new Set()  // track_added_files（hash，plus_the_size_for_size_overrides）
     
     emojiCollection.forEach(emoji => {
       // if_there_is fileHash（customize_expressions_and_use_new_structures），check_if_it_has_been_added
       if (emoji.fileHash) {
-        if (addedFileHashes.has(emoji.fileHash)) {
+        if (addedFiles.has(emoji.file)) {
           // file_added，jump_over（but_remain_in index.json of emoji_collection middle）
           console.log(`Skipping duplicate file: ${emoji.name} -> ${emoji.file} (hash: ${emoji.fileHash.substring(0, 8)})`)
           return
         }
-        addedFileHashes.add(emoji.fileHash)
+        addedFiles.add(emoji.file)
       }
       
       // add_unique_files
@@ -590,6 +742,7 @@ class AssetsBuilder {
         filename: emoji.file,
         source: emoji.source,
         size: emoji.size,
+        fit: emoji.fit,
         fileHash: emoji.fileHash  // transfer hash information
       })
     })
@@ -623,11 +776,35 @@ class AssetsBuilder {
    */
   async preprocessCustomFonts(progressCallback = null) {
     const fontInfo = this.getFontInfo()
+    if (!fontInfo || fontInfo.type !== 'custom') return
+
+    // the_file_name_only_contains_size_and_bpp，the_cache_is_invalid_when_other_options_change
+    const fontKey = this.getFontCacheKey(fontInfo)
+    const cachedKey = this.convertedFontKeys.get(fontInfo.filename)
+    if (cachedKey && cachedKey !== fontKey) {
+      this.convertedFonts.delete(fontInfo.filename)
+    }
+    // fonts_restored_from_storage_have_no_key，at_least_compression_and_kerning_must_match
+    const cachedFont = this.convertedFonts.get(fontInfo.filename)
+    if (cachedFont && !cachedKey && !this.matchesFontOptions(cachedFont, fontInfo.config)) {
+      this.convertedFonts.delete(fontInfo.filename)
+    }
     
-    if (fontInfo && fontInfo.type === 'custom' && !this.convertedFonts.has(fontInfo.filename)) {
+    if (!this.convertedFonts.has(fontInfo.filename)) {
       if (progressCallback) progressCallback(20, 'Converting custom font...')
       
       try {
+        // icons_come_after_the_fallback_fonts，they_normally_use_private_use_code_points_that_no_other_font_requests
+        const fallbacks = fontInfo.config.fallbacks.map(fallback => ({
+          fontFile: fallback.file,
+          charset: fallback.charset,
+          symbols: fallback.symbols,
+          range: fallback.range
+        }))
+        if (fontInfo.config.icons) {
+          fallbacks.push(await this.loadIconFontSource(fontInfo.config.icons))
+        }
+
         const convertOptions = {
           fontFile: fontInfo.source,
           fontName: fontInfo.filename.replace(/\.bin$/, ''),
@@ -636,7 +813,9 @@ class AssetsBuilder {
           charset: fontInfo.config.charset,
           symbols: fontInfo.config.symbols || '',
           range: fontInfo.config.range || '',
-          compression: false,
+          compression: fontInfo.config.compress,
+          kerning: fontInfo.config.kerning,
+          fallbacks,
           progressCallback: (progress, message) => {
             if (progressCallback) progressCallback(20 + progress * 0.2, `Font conversion: ${message}`)
           }
@@ -648,6 +827,7 @@ class AssetsBuilder {
         await this.fontConverterBrowser.initialize()
         convertedFont = await this.fontConverterBrowser.convertToCBIN(convertOptions)
         this.convertedFonts.set(fontInfo.filename, convertedFont)
+        this.convertedFontKeys.set(fontInfo.filename, fontKey)
 
         // save_converted_fonts_to_temporary_storage
         if (this.autoSaveEnabled) {
@@ -657,7 +837,10 @@ class AssetsBuilder {
               filename: fontInfo.filename,
               size: fontInfo.config.size,
               bpp: fontInfo.config.bpp,
-              charset: fontInfo.config.charset
+              charset: fontInfo.config.charset,
+              compress: fontInfo.config.compress,
+              kerning: fontInfo.config.kerning,
+              fallbacks: this.getFontSourceNames(fontInfo.config)
             })
             console.log(`Converted font saved to storage: ${fontInfo.filename}`)
           } catch (error) {
@@ -671,6 +854,110 @@ class AssetsBuilder {
     }
   }
 
+  /**
+   * key_of_the_font_conversion_options，used_to_check_the_converted_font_cache
+   * @param {Object} fontInfo - font_information
+   * @returns {string} cache_key
+   */
+  getFontCacheKey(fontInfo) {
+    const file = fontInfo.source || {}
+    return JSON.stringify([
+      file.name, file.size, file.lastModified,
+      fontInfo.config.size, fontInfo.config.bpp, fontInfo.config.charset,
+      fontInfo.config.symbols || '', fontInfo.config.range || '',
+      fontInfo.config.compress, fontInfo.config.kerning,
+      (fontInfo.config.fallbacks || []).map(fallback => [
+        fallback.file.name, fallback.file.size, fallback.file.lastModified,
+        fallback.charset, fallback.symbols, fallback.range
+      ]),
+      fontInfo.config.icons && [
+        fontInfo.config.icons.type, fontInfo.config.icons.preset, fontInfo.config.icons.range,
+        fontInfo.config.icons.file?.name, fontInfo.config.icons.file?.size, fontInfo.config.icons.file?.lastModified
+      ]
+    ])
+  }
+
+  /**
+   * whether_a_converted_font_uses_the_glyph_compression_and_kerning_of_the_configuration
+   * 1bpp is_never_compressed；a_font_without_kerning_pairs_has_no_table_even_when_kerning_is_on
+   * @param {ArrayBuffer} buffer - converted_font
+   * @param {Object} config - font_configuration
+   * @returns {boolean} matches
+   */
+  matchesFontOptions(buffer, config) {
+    const expected = config.compress && config.bpp !== 1 ? FONT_COMPRESSION_RLE : FONT_COMPRESSION_NONE
+    try {
+      const info = this.fontConverterBrowser.inspectCBIN(buffer)
+      return info.compression === expected && (config.kerning || !info.kernFormat)
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * convert_and_process_all_resource_files，add_them_to_the_packer（does_not_generate_the_final_file）
+   * @param {Function} progressCallback - progress_callback_function
+   * @returns {Promise<Object>} packaged_resources
+   */
+  async packResources(progressCallback = null) {
+    // preset_emoticon_packs_are_described_by static/<pack>/pack.json
+    await emojiPackRegistry.load()
+    // native_emoticon_file_names（.bin / .anim）depend_on_the_frame_count
+    await this.countEmojiFrames()
+
+    // preprocess_custom_fonts
+    await this.preprocessCustomFonts(progressCallback)
+    
+    await new Promise(resolve => setTimeout(resolve, 100))
+    if (progressCallback) progressCallback(40, 'Preparing resource files...')
+    
+    const resources = this.preparePackageResources()
+    
+    // clean_generator_status
+    this.wakenetPacker.clear()
+    this.spiffsGenerator.clear()
+    this.buildSteps.clear()
+    this.uncompressedSizes.clear()
+    this.buildManifest = null
+    
+    // process_various_resource_files
+    await this.processResourceFiles(resources, progressCallback)
+
+    return resources
+  }
+
+  /**
+   * calculate_the_actual_size_of_each_packed_file_and_the_format_overhead
+   * @param {Function} progressCallback - progress_callback_function
+   * @returns {Promise<Object>} {files: [{name, type, size}], layout, totalSize}
+   */
+  async calculateBudget(progressCallback = null) {
+    if (!this.config) {
+      throw new Error('Configuration object not set')
+    }
+
+    const resources = await this.packResources(progressCallback)
+    const types = new Map(resources.files.map(resource => [resource.filename, resource.type]))
+    types.set('index.json', 'index')
+
+    const files = this.spiffsGenerator.sortFiles(this.spiffsGenerator.files).map(file => {
+      const item = {
+        name: file.filename,
+        type: types.get(file.filename) || 'other',
+        size: file.size
+      }
+      if (this.uncompressedSizes.has(file.filename)) {
+        item.uncompressedSize = this.uncompressedSizes.get(file.filename)
+      }
+      return item
+    })
+    const layout = this.spiffsGenerator.getLayout()
+
+    if (progressCallback) progressCallback(100, 'Budget calculated')
+
+    return { files, layout, totalSize: layout.totalSize }
+  }
+
   /**
    * generate assets.bin
    * @param {Function} progressCallback - progress_callback_function
@@ -684,20 +971,7 @@ class AssetsBuilder {
     try {
       if (progressCallback) progressCallback(0, 'Starting generation...')
       
-      // preprocess_custom_fonts
-      await this.preprocessCustomFonts(progressCallback)
-      
-      await new Promise(resolve => setTimeout(resolve, 100))
-      if (progressCallback) progressCallback(40, 'Preparing resource files...')
-      
-      const resources = this.preparePackageResources()
-      
-      // clean_generator_status
-      this.wakenetPacker.clear()
-      this.spiffsGenerator.clear()
-      
-      // process_various_resource_files
-      await this.processResourceFiles(resources, progressCallback)
+      await this.packResources(progressCallback)
       
       await new Promise(resolve => setTimeout(resolve, 100))
       if (progressCallback) progressCallback(90, 'Generating final file...')
@@ -712,6 +986,9 @@ class AssetsBuilder {
         }
       })
       
+      // record_the_build_manifest（source_hash、processing_steps、final_hash）
+      this.buildManifest = await this.createBuildManifest(assetsBinData)
+
       if (progressCallback) progressCallback(100, 'Generation completed')
       
       return new Blob([assetsBinData], { type: 'application/octet-stream' })
@@ -860,6 +1137,7 @@ class AssetsBuilder {
     // print json string
     console.log('index.json', resources.indexJson);
     this.spiffsGenerator.addFile('index.json', indexJsonData.buffer)
+    this.recordBuildStep('index.json', { type: 'generated' }, ['generate index.json'])
     
     for (const resource of resources.files) {
       const progressPercent = 40 + (processedCount / totalFiles) * 40
@@ -912,6 +1190,9 @@ class AssetsBuilder {
     
     const srmodelsData = this.wakenetPacker.packModels()
     this.spiffsGenerator.addFile(resource.filename, srmodelsData)
+    this.recordBuildStep(resource.filename, { type: 'preset', name: `wakenet_model/${resource.name}` }, [
+      `pack ${resource.name} into srmodels.bin`
+    ])
   }
 
   /**
@@ -924,6 +1205,22 @@ class AssetsBuilder {
       const convertedFont = this.convertedFonts.get(resource.filename)
       if (convertedFont) {
         this.spiffsGenerator.addFile(resource.filename, convertedFont)
+
+        // the_saving_of_glyph_compression_is_shown_like_background_compression
+        const glyphs = this.fontConverterBrowser.inspectCBIN(convertedFont)
+        const uncompressedSize = convertedFont.byteLength - glyphs.bitmapSize + glyphs.rawBitmapSize
+        const compressed = glyphs.compression !== FONT_COMPRESSION_NONE
+        if (compressed) {
+          this.uncompressedSizes.set(resource.filename, uncompressedSize)
+        }
+
+        this.recordBuildStep(resource.filename, await this.describeSource(resource.source), [
+          `convert to cbin: size ${resource.config.size}, bpp ${resource.config.bpp}, charset ${resource.config.charset}`,
+          ...(resource.config.fallbacks.length ? [`merge fallback fonts: ${resource.config.fallbacks.map(fallback => fallback.file.name).join(', ')}`] : []),
+          ...(resource.config.icons ? [`map icons from ${resource.config.icons.name}: ${resource.config.icons.range}`] : []),
+          ...(compressed ? [`compress glyphs rle (${uncompressedSize} -> ${convertedFont.byteLength} bytes)`] : []),
+          ...(glyphs.kernFormat ? [`kerning table: ${glyphs.kernFormat} format (${glyphs.kernSize} bytes)`] : [])
+        ])
       } else {
         throw new Error(`Converted font not found: ${resource.filename}`)
       }
@@ -931,6 +1228,7 @@ class AssetsBuilder {
       // default_font, loaded from_share/fonts directory
       const fontData = await this.loadPresetFont(resource.source)
       this.spiffsGenerator.addFile(resource.filename, fontData)
+      this.recordBuildStep(resource.filename, await this.describeSource(fontData, `fonts/${resource.source}.bin`), [])
     }
   }
 
@@ -941,20 +1239,36 @@ class AssetsBuilder {
   async processEmojiFile(resource) {
     // notice：file_deduplication_is_now preparePackageResources() stage_completed
     // each_file_processed_here_is_unique
+
+    if (this.isNativeEmoji()) {
+      await this.convertEmojiToLvgl(resource)
+      return
+    }
     
     let imageData
     let needsScaling = false
     let imageFormat = 'png' // default_format
     let isGif = false
+    let source
+    let actualDimensions = null
+    const fit = resource.fit || DEFAULT_EMOJI_FIT
+    const processing = []
     
     if (typeof resource.source === 'string' && resource.source.startsWith('preset:')) {
       // default_emoticon_pack
       const presetName = resource.source.replace('preset:', '')
       imageData = await this.loadPresetEmoji(presetName, resource.name)
+      source = await this.describeSource(imageData, emojiPackRegistry.getImagePath(presetName, resource.name))
     } else {
       // custom_expressions
       const file = resource.source
+      source = await this.describeSource(file)
       
+      // .anim frame_sequences_can_only_be_packed_as_native_formats
+      if (this.isAnimFile(file)) {
+        throw new Error(`Emoji ${resource.name} is an LVGL frame sequence (.anim), set the emoji image format to RGB565A8 or ARGB8888`)
+      }
+
       // check_whether_it_is GIF format
       isGif = this.isGifFile(file)
       
@@ -964,14 +1278,13 @@ class AssetsBuilder {
       
       // check_actual_image_size
       try {
-        const actualDimensions = await this.getImageDimensions(file)
+        actualDimensions = await this.getImageDimensions(file)
         const targetSize = resource.size || { width: 64, height: 64 }
         
-        // if_the_actual_size_is_outside_the_target_size_range，need_to_zoom
-        if (actualDimensions.width > targetSize.width || 
-            actualDimensions.height > targetSize.height) {
+        // contain：only_larger_images_are_scaled；cover / pad：every_image_that_is_not_exactly_the_target_size
+        if (emojiConverter.needsFitting(actualDimensions, targetSize, fit)) {
           needsScaling = true
-          console.log(`Emoji ${resource.name} needs scaling: ${actualDimensions.width}x${actualDimensions.height} -> ${targetSize.width}x${targetSize.height}`)
+          console.log(`Emoji ${resource.name} needs scaling: ${actualDimensions.width}x${actualDimensions.height} -> ${targetSize.width}x${targetSize.height} (${fit})`)
         }
       } catch (error) {
         console.warn(`Failed to get emoji image dimensions: ${resource.name}`, error)
@@ -980,6 +1293,22 @@ class AssetsBuilder {
       // if_scaling_is_not_required，read_files_directly
       if (!needsScaling) {
         imageData = await this.fileToArrayBuffer(file)
+
+        // compression_options_are_set（automatic_fitting），also_optimize GIF that_does_not_need_scaling
+        const gifOptions = this.getGifOptions()
+        if (isGif && gifOptions.custom) {
+          try {
+            const optimizedGifBlob = await this.gifScaler.optimizeGif(file, {
+              lossy: gifOptions.lossy,
+              level: gifOptions.level,
+              loopCount: -1 // keep_the_loop_count_set_in_the_animation_editor
+            })
+            imageData = await this.fileToArrayBuffer(optimizedGifBlob)
+            processing.push(`gifsicle ${this.gifScaler.lastCommand}`)
+          } catch (error) {
+            console.warn(`Failed to optimize GIF emoji: ${resource.name}`, error)
+          }
+        }
       }
     }
     
@@ -991,29 +1320,27 @@ class AssetsBuilder {
         if (isGif) {
           // use WasmGifScaler deal_with GIF document
           console.log(`Using WasmGifScaler to process GIF emoji: ${resource.name}`)
-          const scaledGifBlob = await this.gifScaler.scaleGif(resource.source, {
-            maxWidth: targetSize.width,
-            maxHeight: targetSize.height,
-            keepAspectRatio: true,
-            lossy: 30  // use lossy compression_reduces_file_size
-          })
-          imageData = await this.fileToArrayBuffer(scaledGifBlob)
+          imageData = await this.fitGifEmoji(resource.source, actualDimensions, targetSize, fit, processing)
         } else {
           // use_conventional_methods_to_process_images_in_other_formats
-          imageData = await this.scaleImageToFit(resource.source, targetSize, imageFormat)
+          imageData = await this.scaleImageToFit(resource.source, targetSize, imageFormat, fit)
+          processing.push(`scale to ${targetSize.width}x${targetSize.height} (${fit}), encode PNG`)
         }
       } catch (error) {
         console.error(`Failed to scale emoji image: ${resource.name}`, error)
         // use_original_image_when_scaling_fails
         imageData = await this.fileToArrayBuffer(resource.source)
+        processing.push(`scaling failed, original file used: ${error.message}`)
       }
     }
     
-    // add_files_to SPIFFS
+    // add_files_to SPIFFS（the_mmap_entry_records_the_size_of_the_packed_image）
+    const packedSize = imageProcessor.getImageSize(imageData) || resource.size
     this.spiffsGenerator.addFile(resource.filename, imageData, {
-      width: resource.size?.width || 0,
-      height: resource.size?.height || 0
+      width: packedSize?.width || 0,
+      height: packedSize?.height || 0
     })
+    this.recordBuildStep(resource.filename, source, processing)
     
     // record_processing_log
     if (resource.fileHash) {
@@ -1021,16 +1348,197 @@ class AssetsBuilder {
     }
   }
 
+  /**
+   * convert_an_emoticon_to_a_lvgl_native_image（.bin）or_frame_sequence（.anim）
+   * @param {Object} resource - resource_allocation
+   */
+  async convertEmojiToLvgl(resource) {
+    let imageData
+    let source
+    if (typeof resource.source === 'string' && resource.source.startsWith('preset:')) {
+      const presetName = resource.source.replace('preset:', '')
+      imageData = await this.loadPresetEmoji(presetName, resource.name)
+      source = await this.describeSource(imageData, emojiPackRegistry.getImagePath(presetName, resource.name))
+    } else {
+      imageData = await this.fileToArrayBuffer(resource.source)
+      source = await this.describeSource(resource.source)
+    }
+
+    const format = this.getEmojiFormat()
+    const targetSize = resource.size || { width: 64, height: 64 }
+    const original = imageProcessor.getImageSize(imageData) || emojiConverter.parseAnimation(imageData)
+    const fit = resource.fit || DEFAULT_EMOJI_FIT
+    const converted = await emojiConverter.convert(imageData, format, targetSize, fit)
+
+    this.spiffsGenerator.addFile(resource.filename, converted.data, {
+      width: converted.width,
+      height: converted.height
+    })
+
+    const processing = []
+    if (original && (original.width !== converted.width || original.height !== converted.height)) {
+      processing.push(`scale to ${converted.width}x${converted.height} (${fit})`)
+    }
+    if (converted.animated && emojiConverter.isAnimation(imageData)) {
+      processing.push(`re-encode ${converted.frameCount} frames as ${format} frame sequence (${converted.uniqueFrames} unique frames)`)
+    } else if (converted.animated) {
+      processing.push(`decode ${converted.frameCount} GIF frames, convert to ${format} frame sequence (${converted.uniqueFrames} unique frames)`)
+    } else {
+      processing.push(`convert to ${format} LVGL image`)
+    }
+    this.recordBuildStep(resource.filename, source, processing)
+  }
+
+  /**
+   * get_the_image_format_of_emoticons（auto_is_resolved_by_the_chip_model）
+   * @returns {string} original、RGB565A8 or ARGB8888
+   */
+  getEmojiFormat() {
+    return emojiConverter.resolveFormat(this.config?.theme?.emoji?.imageFormat, this.config?.chip)
+  }
+
+  /**
+   * whether_emoticons_are_converted_to_lvgl_native_images
+   * @returns {boolean}
+   */
+  isNativeEmoji() {
+    return emojiConverter.isNative(this.getEmojiFormat())
+  }
+
+  /**
+   * get GIF compression_options_of_custom_emoticons
+   * @returns {Object} {lossy, level, custom}，custom indicates_whether_it_was_set_in_the_configuration
+   */
+  getGifOptions() {
+    const custom = this.config?.theme?.emoji?.custom || {}
+    const isCustom = custom.gifLossy !== undefined || custom.gifLevel !== undefined
+    return {
+      lossy: custom.gifLossy ?? DEFAULT_GIF_LOSSY,
+      level: custom.gifLevel ?? DEFAULT_GIF_LEVEL,
+      custom: isCustom
+    }
+  }
+
   /**
    * process_background_files  
    * @param {Object} resource - resource_allocation
    */
   async processBackgroundFile(resource) {
     const imageData = await this.fileToArrayBuffer(resource.source)
-    
-    // convert_pictures_to_raw_data_in_rgb565_format
-    const rawData = await this.convertImageToRgb565(imageData)
+    const fitOptions = this.getBackgroundFitOptions(resource.mode)
+
+    // convert_pictures_to_raw_data_in_the_display_color_format
+    const rawData = await this.convertImageToLvgl(imageData, fitOptions)
     this.spiffsGenerator.addFile(resource.filename, rawData)
+
+    const width = this.config?.chip?.display?.width || 320
+    const height = this.config?.chip?.display?.height || 240
+    const dither = this.getBackgroundDither()
+    const compress = this.getBackgroundCompression()
+
+    // compression_is_skipped_when_it_does_not_save_anything
+    const uncompressedSize = lvglImage.getFileSize(this.getColorFormat(), width, height)
+    const compressed = rawData.byteLength !== uncompressedSize
+    if (compressed) {
+      this.uncompressedSizes.set(resource.filename, uncompressedSize)
+    }
+
+    this.recordBuildStep(resource.filename, await this.describeSource(resource.source), [
+      `scale to ${width}x${height} (${imageProcessor.describeFit(fitOptions)})`,
+      `convert to ${this.getColorFormat()} LVGL raw image`,
+      ...(dither !== DEFAULT_DITHER ? [`dither ${dither}`] : []),
+      ...(compressed ? [`compress ${compress} (${uncompressedSize} -> ${rawData.byteLength} bytes)`] : [])
+    ])
+  }
+
+  /**
+   * get_the_fit_options_of_a_background_image（default cover）
+   * @param {string} mode - light or dark
+   * @returns {Object} options_for_imageProcessor.fit
+   */
+  getBackgroundFitOptions(mode) {
+    const skin = this.config?.theme?.skin?.[mode]
+    return imageProcessor.createFitOptions(skin?.fit, skin?.backgroundColor)
+  }
+
+  /**
+   * record_the_source_and_processing_of_a_packed_file，used_for_the_build_manifest
+   * @param {string} filename - packed_file_name
+   * @param {Object} source - source_description {type, name, sha256}
+   * @param {Array<string>} processing - processing_steps
+   */
+  recordBuildStep(filename, source, processing = []) {
+    this.buildSteps.set(filename, { source, processing })
+  }
+
+  /**
+   * describe_the_source_file_of_a_packed_file
+   * @param {File|Blob|ArrayBuffer} data - source_data
+   * @param {string} presetName - preset_resource_path，empty_for_uploaded_files
+   * @returns {Promise<Object>} {type, name, sha256}
+   */
+  async describeSource(data, presetName = '') {
+    return {
+      type: presetName ? 'preset' : 'upload',
+      name: presetName || data?.name || '',
+      sha256: await this.calculateHash(data)
+    }
+  }
+
+  /**
+   * calculate SHA-256 hash
+   * @param {File|Blob|ArrayBuffer} data - data
+   * @returns {Promise<string>} hexadecimal hash
+   */
+  async calculateHash(data) {
+    const buffer = ArrayBuffer.isView(data) ? data : await this.fileToArrayBuffer(data)
+    const hashBuffer = await crypto.subtle.digest('SHA-256', buffer)
+    return Array.from(new Uint8Array(hashBuffer))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('')
+  }
+
+  /**
+   * create_the_build_manifest，does_not_contain_timestamps，the_same_configuration_gives_the_same_manifest
+   * @param {ArrayBuffer} assetsBinData - generated assets.bin data
+   * @returns {Promise<Object>} build_manifest
+   */
+  async createBuildManifest(assetsBinData) {
+    const files = []
+    for (const file of this.spiffsGenerator.sortFiles(this.spiffsGenerator.files)) {
+      const step = this.buildSteps.get(file.filename) || { source: null, processing: [] }
+      const entry = {
+        name: file.filename,
+        size: file.size,
+        sha256: await this.calculateHash(file.data),
+        source: step.source,
+        processing: step.processing
+      }
+      if (file.width || file.height) {
+        entry.width = file.width
+        entry.height = file.height
+      }
+      files.push(entry)
+    }
+
+    return {
+      version: BUILD_MANIFEST_VERSION,
+      generator: 'xiaozhi-assets-generator',
+      config: themeManifest.createManifest(this.config).manifest,
+      files,
+      assetsBin: {
+        size: assetsBinData.byteLength,
+        sha256: await this.calculateHash(assetsBinData)
+      }
+    }
+  }
+
+  /**
+   * get_the_build_manifest_of_the_last_generation
+   * @returns {Object|null} build_manifest
+   */
+  getBuildManifest() {
+    return this.buildManifest
   }
 
   /**
@@ -1040,11 +1548,7 @@ class AssetsBuilder {
    */
   async loadPresetFont(fontName) {
     try {
-      const response = await fetch(`./static/fonts/${fontName}.bin`)
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`)
-      }
-      return await response.arrayBuffer()
+      return await getPlatform().loadStatic(`fonts/${fontName}.bin`)
     } catch (error) {
       throw new Error(`Failed to load preset font: ${fontName} - ${error.message}`)
     }
@@ -1052,17 +1556,13 @@ class AssetsBuilder {
 
   /**
    * load_preset_emoticons
-   * @param {string} presetName - default_name (twemoji32/twemoji64)
+   * @param {string} presetName - pack_directory（see EmojiPackRegistry）
    * @param {string} emojiName - expression_name
    * @returns {Promise<ArrayBuffer>} expression_data
    */
   async loadPresetEmoji(presetName, emojiName) {
     try {
-      const response = await fetch(`./static/${presetName}/${emojiName}.png`)
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`)
-      }
-      return await response.arrayBuffer()
+      return await getPlatform().loadStatic(emojiPackRegistry.getImagePath(presetName, emojiName))
     } catch (error) {
       throw new Error(`Failed to load preset emoji: ${presetName}/${emojiName} - ${error.message}`)
     }
@@ -1073,93 +1573,96 @@ class AssetsBuilder {
    * @param {File|Blob} file - file_object
    * @returns {Promise<ArrayBuffer>} file_data
    */
-  fileToArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = () => reject(new Error('Failed to read file'))
-      reader.readAsArrayBuffer(file)
-    })
+  async fileToArrayBuffer(file) {
+    if (file instanceof ArrayBuffer) {
+      return file
+    }
+    try {
+      return await file.arrayBuffer()
+    } catch (error) {
+      throw new Error('Failed to read file')
+    }
   }
 
   /*
 *
-* scale_image_to_fit_specified_dimensions (proportional_scaling, contain effect)
+* scale_image_to_fit_specified_dimensions (proportional_scaling, contain effect by_default)
    * @param {ArrayBuffer|File} imageData - image_data
    * @param {Object} targetSize - target_size {width, height}
    * @param {string} format - picture_format（for_transparent_background_processing）
+   * @param {string} fit - contain、cover or pad（see EmojiConverter.fitToSize）
    * @returns {Promise<ArrayBuffer>} scaled_image_data
 */
-  async scaleImageToFit(imageData, targetSize, format = 'png') {
-    return new Promise((resolve, reject) => {
-      const blob = imageData instanceof File ? imageData : new Blob([imageData])
-      const url = URL.createObjectURL(blob)
-      const img = new Image()
-      
-      img.onload = () => {
-        try {
-          const canvas = document.createElement('canvas')
-          const ctx = canvas.getContext('2d')
-          
-          // set_target_canvas_size
-          canvas.width = targetSize.width
-          canvas.height = targetSize.height
-          
-          // calculate_proportional_scaling_dimensions (contain effect)
-          const imgAspectRatio = img.width / img.height
-          const targetAspectRatio = targetSize.width / targetSize.height
-          
-          let drawWidth, drawHeight, offsetX, offsetY
-          
-          if (imgAspectRatio > targetAspectRatio) {
-            // picture_is_wider，scale_by_width
-            drawWidth = targetSize.width
-            drawHeight = targetSize.width / imgAspectRatio
-            offsetX = 0
-            offsetY = (targetSize.height - drawHeight) / 2
-          } else {
-            // picture_is_taller，scale_by_height
-            drawHeight = targetSize.height
-            drawWidth = targetSize.height * imgAspectRatio
-            offsetX = (targetSize.width - drawWidth) / 2
-            offsetY = 0
-          }
-          
-          // maintain_transparent_background_for_png_format
-          if (format === 'png') {
-            // clear_canvas，be_transparent
-            ctx.clearRect(0, 0, canvas.width, canvas.height)
-          } else {
-            // other_formats_use_a_white_background
-            ctx.fillStyle = '#FFFFFF'
-            ctx.fillRect(0, 0, canvas.width, canvas.height)
-          }
-          
-          // draw_a_scaled_picture
-          ctx.drawImage(img, offsetX, offsetY, drawWidth, drawHeight)
-          
-          // convert_to_arraybuffer
-          canvas.toBlob((blob) => {
-            const reader = new FileReader()
-            reader.onload = () => resolve(reader.result)
-            reader.onerror = () => reject(new Error('Failed to convert image data'))
-            reader.readAsArrayBuffer(blob)
-          }, `image/${format}`)
-          
-          URL.revokeObjectURL(url)
-        } catch (error) {
-          URL.revokeObjectURL(url)
-          reject(error)
-        }
-      }
-      
-      img.onerror = () => {
-        URL.revokeObjectURL(url)
-        reject(new Error('Unable to load image'))
-      }
-      
-      img.src = url
+  async scaleImageToFit(imageData, targetSize, format = 'png', fit = DEFAULT_EMOJI_FIT) {
+    const buffer = await this.fileToArrayBuffer(imageData)
+    const image = await imageProcessor.decode(buffer)
+
+    if (fit !== 'contain') {
+      return imageProcessor.encodePng(emojiConverter.fitToSize(image, targetSize, fit))
+    }
+
+    // maintain_transparent_background_for_png_format，other_formats_use_a_white_background
+    const background = format === 'png' ? [0, 0, 0, 0] : [255, 255, 255, 255]
+    const fitted = imageProcessor.fit(image, targetSize.width, targetSize.height, {
+      mode: 'contain',
+      background
     })
+
+    return imageProcessor.encodePng(fitted)
+  }
+
+  /**
+   * scale_a_gif_emoticon_for_the_fit_mode（contain：--resize-fit，cover：crop_and_resize，pad：--resize-fit_then_center）
+   * @param {File} file - GIF file
+   * @param {Object} actualSize - {width, height} of_the_gif
+   * @param {Object} targetSize - {width, height}
+   * @param {string} fit - contain、cover or pad
+   * @param {Array} processing - processing_steps（gifsicle_commands_are_appended）
+   * @returns {Promise<ArrayBuffer>} GIF data
+   */
+  async fitGifEmoji(file, actualSize, targetSize, fit, processing) {
+    const gifOptions = this.getGifOptions()
+
+    if (fit === 'cover') {
+      const covered = await this.gifScaler.coverGif(file, {
+        width: targetSize.width,
+        height: targetSize.height,
+        sourceWidth: actualSize.width,
+        sourceHeight: actualSize.height,
+        lossy: gifOptions.lossy,
+        level: gifOptions.level
+      })
+      processing.push(`gifsicle ${this.gifScaler.lastCommand}`)
+      return await this.fileToArrayBuffer(covered)
+    }
+
+    let scaled = file
+    let scaledSize = actualSize
+    if (actualSize.width > targetSize.width || actualSize.height > targetSize.height) {
+      scaled = await this.gifScaler.scaleGif(file, {
+        maxWidth: targetSize.width,
+        maxHeight: targetSize.height,
+        keepAspectRatio: true,
+        lossy: gifOptions.lossy,  // use lossy compression_reduces_file_size
+        level: gifOptions.level,
+        loopCount: -1 // keep_the_loop_count_like coverGif/padGif
+      })
+      processing.push(`gifsicle ${this.gifScaler.lastCommand}`)
+      scaledSize = imageProcessor.getImageSize(new Uint8Array(await scaled.arrayBuffer()))
+    }
+
+    if (fit === 'pad' && (scaledSize.width !== targetSize.width || scaledSize.height !== targetSize.height)) {
+      scaled = await this.gifScaler.padGif(scaled, {
+        width: targetSize.width,
+        height: targetSize.height,
+        sourceWidth: scaledSize.width,
+        sourceHeight: scaledSize.height,
+        level: gifOptions.level
+      })
+      processing.push(`gifsicle ${this.gifScaler.lastCommand}`)
+    }
+
+    return await this.fileToArrayBuffer(scaled)
   }
 
   /**
@@ -1178,163 +1681,111 @@ class AssetsBuilder {
     return extension === 'gif'
   }
 
+  /**
+   * check_whether_the_file_is_an .anim native_frame_sequence
+   * @param {File} file - file_object
+   * @returns {boolean}
+   */
+  isAnimFile(file) {
+    return /\.anim$/i.test(file?.name || '')
+  }
+
+  /**
+   * check_whether_the_emoticon_is_animated（more_than_one_frame）
+   * before countEmojiFrames() every GIF / .anim is_treated_as_animated
+   * @param {File} file - file_object
+   * @param {string} fileHash - file hash
+   * @returns {boolean}
+   */
+  isAnimatedEmoji(file, fileHash) {
+    if (this.emojiFrameCounts.has(fileHash)) {
+      return this.emojiFrameCounts.get(fileHash) > 1
+    }
+    return this.isGifFile(file) || this.isAnimFile(file)
+  }
+
+  /**
+   * count_the_frames_of_the_custom GIF / .anim emoticons（single_frame_files_are_packed_as_still_images）
+   */
+  async countEmojiFrames() {
+    const fileMap = this.config?.theme?.emoji?.custom?.fileMap || {}
+    for (const [fileHash, file] of Object.entries(fileMap)) {
+      if (this.emojiFrameCounts.has(fileHash) || !file || !(this.isGifFile(file) || this.isAnimFile(file))) continue
+      try {
+        this.emojiFrameCounts.set(fileHash, emojiConverter.countFrames(await this.fileToArrayBuffer(file)))
+      } catch (error) {
+        console.warn(`Failed to count emoji frames: ${file.name}`, error)
+      }
+    }
+  }
+
   /**
    * get_image_size_information
    * @param {ArrayBuffer|File} imageData - image_data
    * @returns {Promise<Object>} image_size_information {width, height}
    */
   async getImageDimensions(imageData) {
-    return new Promise((resolve, reject) => {
-      const blob = imageData instanceof File ? imageData : new Blob([imageData])
-      const url = URL.createObjectURL(blob)
-      const img = new Image()
-      
-      img.onload = () => {
-        URL.revokeObjectURL(url)
-        resolve({
-          width: img.width,
-          height: img.height
-        })
-      }
-      
-      img.onerror = () => {
-        URL.revokeObjectURL(url)
-        reject(new Error('Unable to get image dimensions'))
-      }
-      
-      img.src = url
-    })
+    const buffer = await this.fileToArrayBuffer(imageData)
+
+    // read_from_the_file_header_first，avoid_decoding_the_whole_picture
+    const size = imageProcessor.getImageSize(buffer)
+    if (size) {
+      return size
+    }
+
+    try {
+      const image = await imageProcessor.decode(buffer)
+      return { width: image.width, height: image.height }
+    } catch (error) {
+      throw new Error('Unable to get image dimensions')
+    }
   }
 
-  /*
-*
-   * convert_pictures_to_raw_data_in_rgb565_format
+  /**
+   * convert_pictures_to_lvgl_raw_data_in_the_display_color_format
    * @param {ArrayBuffer} imageData - image_data
-* @returns {Promise<ArrayBuffer>} RGB565 raw data
-*/
-  async convertImageToRgb565(imageData) {
-    return new Promise((resolve, reject) => {
-      const blob = new Blob([imageData])
-      const url = URL.createObjectURL(blob)
-      const img = new Image()
-      
-      img.onload = () => {
-        try {
-          const canvas = document.createElement('canvas')
-          const ctx = canvas.getContext('2d', { willReadFrequently: true })
-          
-          canvas.width = this.config?.chip?.display?.width || 320
-          canvas.height = this.config?.chip?.display?.height || 240
-          
-          // use cover pattern_drawing_pictures，keep_proportions_and_display_centered
-          const imgAspectRatio = img.width / img.height
-          const canvasAspectRatio = canvas.width / canvas.height
-          
-          let drawWidth, drawHeight, offsetX, offsetY
-          
-          if (imgAspectRatio > canvasAspectRatio) {
-            // picture_is_wider, scale_by_height (cover effect)
-            drawHeight = canvas.height
-            drawWidth = canvas.height * imgAspectRatio
-            offsetX = (canvas.width - drawWidth) / 2
-            offsetY = 0
-          } else {
-            // picture_is_taller，scale_by_width (cover effect)
-            drawWidth = canvas.width
-            drawHeight = canvas.width / imgAspectRatio
-            offsetX = 0
-            offsetY = (canvas.height - drawHeight) / 2
-          }
-          
-          // draw_image_to_canvas，use_cover_mode_to_maintain_proportions_and_center
-          ctx.drawImage(img, offsetX, offsetY, drawWidth, drawHeight)
-          
-          // get_pixel_data
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
-          const pixels = imageData.data
-          
-          // convert_to_rgb565_format
-          const rgb565Data = new ArrayBuffer(canvas.width * canvas.height * 2)
-          const rgb565View = new Uint16Array(rgb565Data)
-          
-          for (let i = 0; i < pixels.length; i += 4) {
-            const r = pixels[i] >> 3      // 5 bits red
-            const g = pixels[i + 1] >> 2  // 6 bit green
-            const b = pixels[i + 2] >> 3  // 5 bits blue
-            
-            rgb565View[i / 4] = (r << 11) | (g << 5) | b
-          }
-          
-          // LVGL constant_definition
-          const LV_IMAGE_HEADER_MAGIC = 0x19  // LVGL image header magic number
-          const LV_COLOR_FORMAT_RGB565 = 0x12 // RGB565 color format
-          
-          // calculate_stride（bytes_per_line）
-          const stride = canvas.width * 2  // RGB565 2 bytes per pixel
-          
-          // create_a_header_conforming_to_the_lv_image_dsc_t_structure
-          const headerSize = 28  // lv_image_dsc_t structure size: header(12) + data_size(4) + data(4) + reserved(4) + reserved_2(4) = 28 bytes
-          const totalSize = headerSize + rgb565Data.byteLength
-          const finalData = new ArrayBuffer(totalSize)
-          const finalView = new Uint8Array(finalData)
-          const headerView = new DataView(finalData)
-          
-          let offset = 0
-          
-          // lv_image_header_t structure (16 bytes)
-          // magic: 8 bits, cf: 8 bits, flags: 16 bits (var_4_bytes_in_total)
-          const headerWord1 = (0 << 24) | (0 << 16) | (LV_COLOR_FORMAT_RGB565 << 8) | LV_IMAGE_HEADER_MAGIC
-          headerView.setUint32(offset, headerWord1, true)
-          offset += 4
-          
-          // w: 16 bits, h: 16 bits (var_4_bytes_in_total)
-          const sizeWord = (canvas.height << 16) | canvas.width
+   * @param {Object} fitOptions - options_for_imageProcessor.fit（default cover）
+   * @returns {Promise<ArrayBuffer>} LVGL raw data（lv_image_dsc_t header + pixels）
+   */
+  async convertImageToLvgl(imageData, fitOptions = { mode: 'cover' }) {
+    const image = await imageProcessor.decode(imageData)
 
-          headerView.setUint32(offset, sizeWord, true)  
-          offset += 4
-          
-          // stride: 16 bits, reserved_2: 16 bits (var_4_bytes_in_total)
-          const strideWord = (0 << 16) | stride
-          headerView.setUint32(offset, strideWord, true)
-          offset += 4
-          
-          // lv_image_dsc_t remaining fields
-          // data_size: 32 bits (4 bytes)
-          headerView.setUint32(offset, rgb565Data.byteLength, true)
-          offset += 4
-          
-          // data pointer occupancy (4 bytes, in_actual_use_it_will_point_to_the_data_part)
-          headerView.setUint32(offset, headerSize, true)  // relative_offset
-          offset += 4
-          
-          // reserved (4 bytes)
-          headerView.setUint32(offset, 0, true)
-          offset += 4
-          
-          // reserved_2 (4 bytes)
-          headerView.setUint32(offset, 0, true)
-          offset += 4
-          
-          // copy_rgb565_data_to_the_back_of_the_header
-          finalView.set(new Uint8Array(rgb565Data), headerSize)
-          
-          URL.revokeObjectURL(url)
-          resolve(finalData)
-        } catch (error) {
-          URL.revokeObjectURL(url)
-          reject(error)
-        }
-      }
-      
-      img.onerror = () => {
-        URL.revokeObjectURL(url)
-        reject(new Error('Unable to load image'))
-      }
-      
-      img.src = url
+    const width = this.config?.chip?.display?.width || 320
+    const height = this.config?.chip?.display?.height || 240
+
+    // cover keep_proportions_and_display_centered，other_modes_come_from_the_background_editor
+    const fitted = imageProcessor.fit(image, width, height, fitOptions)
+
+    return lvglImage.encode(fitted, this.getColorFormat(), {
+      dither: this.getBackgroundDither(),
+      compress: this.getBackgroundCompression()
     })
   }
 
+  /**
+   * get_the_dithering_method_of_background_images
+   * @returns {string} none、bayer4、bayer8 or floyd-steinberg
+   */
+  getBackgroundDither() {
+    return this.config?.theme?.skin?.dither || DEFAULT_DITHER
+  }
+
+  /**
+   * get_the_compression_method_of_background_images
+   * @returns {string} none、rle or lz4
+   */
+  getBackgroundCompression() {
+    return this.config?.theme?.skin?.compress || DEFAULT_COMPRESS
+  }
+
+  /**
+   * get_the_display_color_format
+   * @returns {string} format_name
+   */
+  getColorFormat() {
+    return this.config?.chip?.display?.color || DEFAULT_COLOR_FORMAT
+  }
+
   /**
    * clean_up_temporary_resources
    */
@@ -1342,6 +1793,7 @@ class AssetsBuilder {
     this.resources.clear()
     this.tempFiles = []
     this.convertedFonts.clear()
+    this.convertedFontKeys.clear()
     this.wakenetPacker.clear()
     this.spiffsGenerator.clear()
     this.gifScaler.dispose() // clean_up WasmGifScaler resource
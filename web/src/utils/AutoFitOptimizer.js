@@ -0,0 +1,284 @@
+/**
+ * AutoFitOptimizer kind
+ * when assets.bin is_larger_than_the_partition，reduce_the_package_step_by_step_until_it_fits
+ *
+ * steps（in_order，each_step_is_repeated_until_it_fits_or_cannot_go_further）：
+ * 1. compress_background_images（none -> lz4 -> rle，lossless_so_it_comes_first）
+ * 2. compress_the_custom_font_glyphs（RLE，lossless，not_for 1 bpp）
+ * 3. lower_the_custom_font bpp（4 -> 2 -> 1）
+ * 4. use_a_smaller_charset（gb2312 -> deepseek -> latin）
+ * 5. stronger GIF emoticon_compression（gifsicle --lossy / -O3）
+ * 6. downscale_emoticons（custom_size * 0.75，preset_packs_step_down_to_the_next_smaller_pack_of_the_family）
+ * 7. remove_background_images（dark_first，then_light）
+ *
+ * levels_that_do_not_save_any_bytes_are_not_kept，but_the_next_level_of_the_step_is_still_tried
+ * the_original_configuration_is_never_modified
+ */
+
+import emojiPackRegistry from './EmojiPackRegistry.js'
+
+const FONT_BPP_LEVELS = [4, 2, 1]
+const CHARSET_LEVELS = ['gb2312', 'deepseek', 'latin']
+const GIF_LOSSY_LEVELS = [30, 60, 100, 150, 200]
+const EMOJI_SCALE = 0.75
+const MIN_EMOJI_SIZE = 16
+const BACKGROUND_COMPRESS_LEVELS = ['none', 'lz4', 'rle']
+
+class AutoFitOptimizer {
+  /**
+   * @param {AssetsBuilder} assetsBuilder - builder_used_to_calculate_the_package_size
+   */
+  constructor(assetsBuilder) {
+    this.assetsBuilder = assetsBuilder
+    this.strategies = [
+      { key: 'backgroundCompress', apply: config => this.compressBackground(config) },
+      { key: 'fontCompress', apply: config => this.compressFont(config) },
+      { key: 'fontBpp', apply: config => this.reduceFontBpp(config) },
+      { key: 'fontCharset', apply: config => this.reduceFontCharset(config) },
+      { key: 'gifLossy', apply: config => this.increaseGifLossy(config) },
+      { key: 'emojiSize', apply: config => this.reduceEmojiSize(config) },
+      { key: 'background', apply: config => this.removeBackground(config) }
+    ]
+  }
+
+  /**
+   * reduce_the_configuration_until_the_package_fits_the_target_size
+   * @param {Object} config - current_configuration（not_modified）
+   * @param {number} targetSize - partition_size（bytes）
+   * @param {Function} progressCallback - ({key, from, to}) => void，the_step_being_tried
+   * @returns {Promise<Object>} {config, fits, initialSize, finalSize, targetSize, steps}
+   */
+  async optimize(config, targetSize, progressCallback = null) {
+    if (!targetSize || targetSize <= 0) {
+      throw new Error('Partition size is required for auto-fit')
+    }
+
+    let current = this.cloneConfig(config)
+    let currentSize = await this.calculateSize(current)
+    const initialSize = currentSize
+    const steps = []
+
+    for (const strategy of this.strategies) {
+      // levels_are_tried_from_the_last_candidate，so_a_level_that_saves_nothing（none -> lz4）doesn't_stop_the_next_one（lz4 -> rle）
+      let probe = current
+      let skippedFrom = null
+      while (currentSize > targetSize) {
+        const candidate = this.cloneConfig(probe)
+        const tried = strategy.apply(candidate)
+        if (!tried) break
+
+        if (progressCallback) progressCallback({ key: strategy.key, ...tried })
+
+        const size = await this.calculateSize(candidate)
+        if (size >= currentSize) {
+          // no_bytes_saved，keep_the_previous_configuration_and_try_the_next_level
+          console.log(`Auto-fit step skipped: ${this.describe(strategy.key, tried)}`)
+          if (skippedFrom === null) skippedFrom = tried.from
+          probe = candidate
+          continue
+        }
+
+        // the_step_goes_from_the_kept_configuration，skipped_levels_included
+        const change = skippedFrom === null ? tried : { ...tried, from: skippedFrom }
+        steps.push({
+          key: strategy.key,
+          ...change,
+          description: this.describe(strategy.key, change),
+          before: currentSize,
+          after: size,
+          saved: currentSize - size
+        })
+        current = candidate
+        currentSize = size
+        probe = candidate
+        skippedFrom = null
+      }
+
+      if (currentSize <= targetSize) break
+    }
+
+    return {
+      config: current,
+      fits: currentSize <= targetSize,
+      initialSize,
+      finalSize: currentSize,
+      targetSize,
+      steps
+    }
+  }
+
+  /**
+   * calculate_the_size_of_the_package
+   * @param {Object} config - configuration
+   * @returns {Promise<number>} assets.bin size
+   */
+  async calculateSize(config) {
+    this.assetsBuilder.setConfig(config, { strict: false })
+    const budget = await this.assetsBuilder.calculateBudget()
+    return budget.totalSize
+  }
+
+  compressFont(config) {
+    const font = config.theme.font
+    if (font.type !== 'custom' || !font.custom?.file) return null
+    // 1 bpp_glyphs_are_never_compressed
+    if (font.custom.compress || font.custom.bpp === 1) return null
+
+    font.custom.compress = true
+    return { from: 'off', to: 'RLE' }
+  }
+
+  reduceFontBpp(config) {
+    const font = config.theme.font
+    if (font.type !== 'custom' || !font.custom?.file) return null
+    const index = FONT_BPP_LEVELS.indexOf(font.custom.bpp)
+    if (index < 0 || index === FONT_BPP_LEVELS.length - 1) return null
+
+    const from = font.custom.bpp
+    font.custom.bpp = FONT_BPP_LEVELS[index + 1]
+    return { from, to: font.custom.bpp }
+  }
+
+  reduceFontCharset(config) {
+    const font = config.theme.font
+    if (font.type !== 'custom' || !font.custom?.file) return null
+    const index = CHARSET_LEVELS.indexOf(font.custom.charset)
+    if (index < 0 || index === CHARSET_LEVELS.length - 1) return null
+
+    const from = font.custom.charset
+    font.custom.charset = CHARSET_LEVELS[index + 1]
+    return { from, to: font.custom.charset }
+  }
+
+  increaseGifLossy(config) {
+    const emoji = config.theme.emoji
+    if (emoji.type !== 'custom') return null
+    const hasGif = Object.values(emoji.custom?.fileMap || {}).some(file => this.isGif(file))
+    if (!hasGif) return null
+
+    const from = emoji.custom.gifLossy ?? GIF_LOSSY_LEVELS[0]
+    const to = GIF_LOSSY_LEVELS.find(level => level > from)
+    if (to === undefined) return null
+
+    emoji.custom.gifLossy = to
+    emoji.custom.gifLevel = 3
+    return { from, to }
+  }
+
+  reduceEmojiSize(config) {
+    const emoji = config.theme.emoji
+    if (emoji.type === 'preset') {
+      // the_next_smaller_pack_of_the_same_family（twemoji64 -> twemoji32）
+      const smaller = emojiPackRegistry.getSmallerPack(emoji.preset)
+      if (!smaller) return null
+      const from = emoji.preset
+      emoji.preset = smaller.id
+      return { from, to: emoji.preset }
+    }
+
+    if (emoji.type !== 'custom' || !emoji.custom?.size) return null
+    const from = []
+    const to = []
+
+    const size = this.scaleEmojiSize(emoji.custom.size)
+    if (size) {
+      from.push(this.formatEmojiSize(emoji.custom.size))
+      to.push(this.formatEmojiSize(size))
+      emoji.custom.size = size
+    }
+
+    // per_emotion_overrides_are_scaled_the_same_way（fit_is_kept）
+    for (const [emotion, override] of Object.entries(emoji.custom.sizes || {})) {
+      const scaled = this.scaleEmojiSize(override)
+      if (!scaled) continue
+      from.push(`${emotion} ${this.formatEmojiSize(override)}`)
+      to.push(`${emotion} ${this.formatEmojiSize(scaled)}`)
+      emoji.custom.sizes[emotion] = { ...override, ...scaled }
+    }
+
+    if (from.length === 0) return null
+    return { from: from.join(', '), to: to.join(', ') }
+  }
+
+  /**
+   * scale_a_size_by EMOJI_SCALE，null_when_it_would_fall_below MIN_EMOJI_SIZE
+   * @param {Object} size - {width, height}
+   * @returns {Object|null} {width, height}
+   */
+  scaleEmojiSize({ width, height }) {
+    const newWidth = Math.round(width * EMOJI_SCALE)
+    const newHeight = Math.round(height * EMOJI_SCALE)
+    if (!(newWidth >= MIN_EMOJI_SIZE && newHeight >= MIN_EMOJI_SIZE)) return null
+    return { width: newWidth, height: newHeight }
+  }
+
+  formatEmojiSize({ width, height }) {
+    return `${width}x${height}`
+  }
+
+  compressBackground(config) {
+    const skin = config.theme.skin
+    const hasImage = ['light', 'dark'].some(mode => skin?.[mode]?.backgroundType === 'image')
+    if (!hasImage) return null
+    const from = skin.compress || BACKGROUND_COMPRESS_LEVELS[0]
+    const index = BACKGROUND_COMPRESS_LEVELS.indexOf(from)
+    if (index < 0 || index === BACKGROUND_COMPRESS_LEVELS.length - 1) return null
+
+    skin.compress = BACKGROUND_COMPRESS_LEVELS[index + 1]
+    return { from, to: skin.compress }
+  }
+
+  removeBackground(config) {
+    for (const mode of ['dark', 'light']) {
+      const skin = config.theme.skin?.[mode]
+      if (skin?.backgroundType === 'image') {
+        skin.backgroundType = 'color'
+        skin.backgroundImage = null
+        return { from: mode, to: skin.backgroundColor }
+      }
+    }
+    return null
+  }
+
+  /**
+   * text_description_of_a_step（used_in_logs，the_interface_uses_translations）
+   * @param {string} key - step_key
+   * @param {Object} change - {from, to}
+   * @returns {string} description
+   */
+  describe(key, change) {
+    switch (key) {
+      case 'fontCompress': return `Font glyph compression ${change.from} -> ${change.to}`
+      case 'fontBpp': return `Font bpp ${change.from} -> ${change.to}`
+      case 'fontCharset': return `Font charset ${change.from} -> ${change.to}`
+      case 'gifLossy': return `GIF lossy ${change.from} -> ${change.to} (-O3)`
+      case 'emojiSize': return `Emoji size ${change.from} -> ${change.to}`
+      case 'backgroundCompress': return `Background compression ${change.from} -> ${change.to}`
+      case 'background': return `Remove ${change.from} background image`
+      default: return key
+    }
+  }
+
+  isGif(file) {
+    return file?.type === 'image/gif' || /\.gif$/i.test(file?.name || '')
+  }
+
+  /**
+   * deep_copy_the_configuration，File/Blob objects_are_shared
+   * @param {*} value - value
+   * @returns {*} copy
+   */
+  cloneConfig(value) {
+    if (value === null || typeof value !== 'object') return value
+    if (value instanceof Blob || value instanceof ArrayBuffer) return value
+    if (Array.isArray(value)) return value.map(item => this.cloneConfig(item))
+
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.cloneConfig(item)
+    }
+    return result
+  }
+}
+
+export default AutoFitOptimizer
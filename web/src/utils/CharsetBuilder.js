@@ -0,0 +1,239 @@
+/**
+ * CharsetBuilder kind
+ * build_the_minimal_character_set_from_the_strings_of_the_application
+ *
+ * main_functions：
+ * - read_pasted_text、.txt、.json（all_string_values）、.po（msgid/msgstr）and_firmware_strings_dumps
+ * - binary_files（.bin/.elf）are_scanned_like `strings`：only_valid UTF-8 runs_are_kept
+ * - the_characters_are_de_duplicated，control_characters_are_dropped，then_united_with_a_base_charset
+ * - compare_the_result_with_the_preset_charsets（glyph_count_and_estimated_size）
+ */
+
+import browserFontConverter from './font_conv/BrowserFontConverter.js'
+
+const PRESET_CHARSETS = ['latin', 'deepseek', 'gb2312']
+const BINARY_EXTENSIONS = ['bin', 'elf']
+// the_shortest_run_kept_from_a_binary_file（bytes，same_as `strings`）
+const MIN_BINARY_RUN = 4
+// control_characters、invalid_sequences、byte_order_mark
+const SKIPPED_CHARACTERS = /[\u0000-\u001F\u007F-\u009F\uFEFF\uFFFD]/
+
+class CharsetBuilder {
+  /**
+   * read_one_source_file_as_text
+   * @param {File} file - .txt/.json/.po/.bin/... file
+   * @returns {Promise<Object>} {name, kind, text}
+   */
+  async readFile(file) {
+    const buffer = await file.arrayBuffer()
+    const kind = this.getKind(file.name, buffer)
+    return { name: file.name, kind, text: this.extractText(kind, buffer, file.name) }
+  }
+
+  /**
+   * decide_how_a_file_is_read，unknown_files_with_zero_bytes_are_binary
+   * @param {string} name - file_name
+   * @param {ArrayBuffer} buffer - file_content
+   * @returns {string} json|po|binary|text
+   */
+  getKind(name, buffer) {
+    const extension = name.split('.').pop().toLowerCase()
+    if (extension === 'json') return 'json'
+    if (extension === 'po' || extension === 'pot') return 'po'
+    if (BINARY_EXTENSIONS.includes(extension)) return 'binary'
+    return new Uint8Array(buffer).includes(0) ? 'binary' : 'text'
+  }
+
+  /**
+   * get_the_displayed_text_of_a_file
+   * @param {string} kind - json|po|binary|text
+   * @param {ArrayBuffer} buffer - file_content
+   * @param {string} name - file_name（used_in_error_messages）
+   * @returns {string} text
+   */
+  extractText(kind, buffer, name = '') {
+    if (kind === 'binary') return this.extractBinaryStrings(buffer)
+
+    const text = new TextDecoder('utf-8').decode(buffer)
+    if (kind === 'json') {
+      let data
+      try {
+        data = JSON.parse(text)
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${name}: ${error.message}`)
+      }
+      return this.extractJsonStrings(data).join('\n')
+    }
+    if (kind === 'po') return this.extractPoStrings(text).join('\n')
+    return text
+  }
+
+  /**
+   * collect_all_string_values（keys_are_identifiers_and_are_not_shown）
+   * @param {*} value - parsed JSON
+   * @param {Array<string>} strings - output
+   * @returns {Array<string>} strings
+   */
+  extractJsonStrings(value, strings = []) {
+    if (typeof value === 'string') {
+      strings.push(value)
+    } else if (Array.isArray(value)) {
+      value.forEach(item => this.extractJsonStrings(item, strings))
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => this.extractJsonStrings(item, strings))
+    }
+    return strings
+  }
+
+  /**
+   * collect_msgid/msgid_plural/msgstr_strings_of_a gettext catalog，the_header_entry（empty msgid）is_skipped
+   * @param {string} text - .po content
+   * @returns {Array<string>} strings
+   */
+  extractPoStrings(text) {
+    const strings = []
+    let values = [] // msgid_first，then msgid_plural/msgstr
+    let target = -1 // the_string_that "..." continuation_lines_append_to（-1：msgctxt）
+    let inMsgstr = false
+
+    const finishEntry = () => {
+      if (values[0]) strings.push(...values.filter(Boolean))
+      values = []
+      target = -1
+      inMsgstr = false
+    }
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim()
+      // comments_and_obsolete_entries（#~）
+      if (line.startsWith('#')) continue
+
+      const keyword = line.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+"(.*)"$/)
+      if (keyword) {
+        const [, name, value] = keyword
+        const isMsgstr = name.startsWith('msgstr')
+        // msgctxt_or_msgid_after_a_msgstr_starts_the_next_entry
+        if (inMsgstr && !isMsgstr) finishEntry()
+        inMsgstr = inMsgstr || isMsgstr
+        target = name === 'msgctxt' ? -1 : values.push(this.unescapePo(value)) - 1
+        continue
+      }
+
+      const continuation = line.match(/^"(.*)"$/)
+      if (continuation && target >= 0) {
+        values[target] += this.unescapePo(continuation[1])
+      }
+    }
+    finishEntry()
+
+    return strings
+  }
+
+  unescapePo(value) {
+    const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }
+    return value.replace(/\\(.)/g, (match, char) => escapes[char] ?? char)
+  }
+
+  /**
+   * find_the_readable_strings_of_a_binary_file（like `strings`，but UTF-8 aware）
+   * @param {ArrayBuffer} buffer - firmware_image
+   * @returns {string} one_string_per_line
+   */
+  extractBinaryStrings(buffer) {
+    const text = new TextDecoder('utf-8').decode(buffer)
+    const encoder = new TextEncoder()
+    return text
+      .split(/[\u0000-\u0008\u000E-\u001F\u007F\uFFFD]+/)
+      .filter(run => encoder.encode(run).length >= MIN_BINARY_RUN)
+      .join('\n')
+  }
+
+  /**
+   * de_duplicated_code_points_of_a_text，sorted，without_control_characters
+   * @param {string} text - text
+   * @returns {Array<number>} code_points
+   */
+  getCodePoints(text) {
+    const codes = new Set()
+    for (const char of text) {
+      if (SKIPPED_CHARACTERS.test(char)) continue
+      const code = char.codePointAt(0)
+      // lone_surrogates_can't_be_drawn
+      if (code >= 0xD800 && code <= 0xDFFF) continue
+      codes.add(code)
+    }
+    return [...codes].sort((a, b) => a - b)
+  }
+
+  toText(codes) {
+    return codes.map(code => String.fromCodePoint(code)).join('')
+  }
+
+  /**
+   * unite_the_characters_of_the_texts_with_a_base_charset
+   * @param {Object} options - {texts: Array<string>, base: charset_name_or 'custom'}
+   * @returns {Promise<Object>} {characters, symbols, usedCount, baseCount, glyphCount}
+   *   characters：every_character_in_the_font；symbols：the_characters_that_the_base_charset_lacks
+   */
+  async build({ texts, base = 'custom' }) {
+    const used = this.getCodePoints(texts.join('\n'))
+    const baseCodes = base && base !== 'custom'
+      ? this.getCodePoints(await browserFontConverter.getCharsetContentAsync(base))
+      : []
+    const baseSet = new Set(baseCodes)
+    const extra = used.filter(code => !baseSet.has(code))
+    const all = [...baseCodes, ...extra].sort((a, b) => a - b)
+
+    return {
+      characters: this.toText(all),
+      symbols: this.toText(extra),
+      usedCount: used.length,
+      baseCount: baseCodes.length,
+      glyphCount: all.length
+    }
+  }
+
+  /**
+   * compare_a_charset_with_each_preset_charset
+   * sizes_come_from browserFontConverter.estimateSizeAsync，so_they_match_the_other_estimates
+   * @param {string} characters - the_built_charset
+   * @param {Object} options - {fontSize, bpp}
+   * @returns {Promise<Object>} {estimatedSize, presets: [{charset, glyphCount, estimatedSize, sizeDelta, missing}]}
+   *   sizeDelta：preset_size_minus_built_size；missing：built_characters_the_preset_lacks
+   */
+  async compareWithPresets(characters, { fontSize = 20, bpp = 4 } = {}) {
+    const codes = this.getCodePoints(characters)
+    const built = await browserFontConverter.estimateSizeAsync({ fontSize, bpp, charset: 'custom', symbols: this.toText(codes) })
+
+    const presets = []
+    for (const charset of PRESET_CHARSETS) {
+      const presetCodes = new Set(this.getCodePoints(await browserFontConverter.getCharsetContentAsync(charset)))
+      const estimate = await browserFontConverter.estimateSizeAsync({ fontSize, bpp, charset })
+      presets.push({
+        charset,
+        glyphCount: presetCodes.size,
+        estimatedSize: estimate.estimatedSize,
+        sizeDelta: estimate.estimatedSize - built.estimatedSize,
+        missing: codes.filter(code => !presetCodes.has(code)).length
+      })
+    }
+
+    return { estimatedSize: built.estimatedSize, presets }
+  }
+
+  /**
+   * characters_that_the_font_file_has_no_glyph_for（they_are_left_out_of_the_converted_font）
+   * @param {File|ArrayBuffer} fontFile - TTF/WOFF font
+   * @param {string} characters - charset
+   * @returns {Promise<string>} missing_characters
+   */
+  async findMissingGlyphs(fontFile, characters) {
+    const font = await browserFontConverter.parseOpentype(fontFile)
+    return [...characters].filter(char => !(font.charToGlyphIndex(char) > 0)).join('')
+  }
+}
+
+const charsetBuilder = new CharsetBuilder()
+
+export default charsetBuilder
+export { CharsetBuilder, PRESET_CHARSETS }
@@ -6,14 +6,29 @@
  * - store_and_restore_user_configuration
  * - store_and_restore_useruploaded_files
  * - provides_the_function_of_clearing_configuration
+ * - manage_multiple_named_projects，each_project_has_its_own_configuration_and_files
+ *
+ * the_records_of_each_project_are_stored_under "<projectId>/<key>"，
+ * callers_still_use_the_original_keys（current_config、custom_font、hash_xxx ...）
  */
 
+const DEFAULT_PROJECT_ID = 'default'
+const ACTIVE_PROJECT_KEY = 'xiaozhi-active-project'
+
+// the_key_field_of_each_data_table
+const PROJECT_STORES = {
+  configs: 'key',
+  files: 'id',
+  temp_data: 'key'
+}
+
 class ConfigStorage {
   constructor() {
     this.dbName = 'XiaozhiConfigDB'
-    this.version = 1
+    this.version = 2
     this.db = null
     this.initialized = false
+    this.currentProjectId = DEFAULT_PROJECT_ID
   }
 
   /**
@@ -25,7 +40,7 @@ class ConfigStorage {
       return
     }
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.version)
 
       request.onerror = () => {
@@ -42,6 +57,7 @@ class ConfigStorage {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result
+        const transaction = event.target.transaction
 
         // create_configuration_storage_table
         if (!db.objectStoreNames.contains('configs')) {
@@ -63,9 +79,82 @@ class ConfigStorage {
           tempStore.createIndex('timestamp', 'timestamp', { unique: false })
         }
 
+        // version_2：project_table，all_data_is_divided_by_project
+        if (!db.objectStoreNames.contains('projects')) {
+          const projectStore = db.createObjectStore('projects', { keyPath: 'id' })
+          projectStore.put(this.createProjectRecord(DEFAULT_PROJECT_ID, 'Default'))
+        }
+        for (const [storeName, keyField] of Object.entries(PROJECT_STORES)) {
+          const store = transaction.objectStore(storeName)
+          if (!store.indexNames.contains('projectId')) {
+            store.createIndex('projectId', 'projectId', { unique: false })
+          }
+          if (event.oldVersion === 1) {
+            this.migrateStore(store, keyField)
+          }
+        }
+
         console.log('IndexedDB 表结构创建完成')
       }
     })
+
+    await this.ensureCurrentProject()
+  }
+
+  /**
+   * will_version_1_data_migrate_to_the_default_project
+   * @param {IDBObjectStore} store - data_table
+   * @param {string} keyField - key_field
+   */
+  migrateStore(store, keyField) {
+    const request = store.getAll()
+    request.onsuccess = () => {
+      for (const record of request.result || []) {
+        if (record.projectId) continue
+        store.delete(record[keyField])
+        store.put({
+          ...record,
+          [keyField]: this.scopedKey(record[keyField], DEFAULT_PROJECT_ID),
+          localKey: record[keyField],
+          projectId: DEFAULT_PROJECT_ID
+        })
+      }
+      console.log(`${store.name} 已迁移到默认项目`)
+    }
+  }
+
+  /**
+   * make_sure_the_current_project_exists
+   * @returns {Promise<void>}
+   */
+  async ensureCurrentProject() {
+    const projects = await this.listProjects()
+    const savedId = localStorage.getItem(ACTIVE_PROJECT_KEY)
+
+    if (savedId && projects.some(project => project.id === savedId)) {
+      this.currentProjectId = savedId
+    } else if (projects.length > 0) {
+      this.currentProjectId = projects[0].id
+    } else {
+      const project = this.createProjectRecord(DEFAULT_PROJECT_ID, 'Default')
+      await this.putRecord('projects', project)
+      this.currentProjectId = project.id
+    }
+  }
+
+  /**
+   * generate_the_storage_key_of_the_current_project
+   * @param {string} key - original_key
+   * @param {string} projectId - project_id，default_is_the_current_project
+   * @returns {string} key_with_project_prefix
+   */
+  scopedKey(key, projectId = this.currentProjectId) {
+    return `${projectId}/${key}`
+  }
+
+  createProjectRecord(id, name) {
+    const now = Date.now()
+    return { id, name, createdAt: now, updatedAt: now }
   }
 
   /**
@@ -81,11 +170,15 @@ class ConfigStorage {
     const sanitizedConfig = this.sanitizeConfigForStorage(config)
 
     const configData = {
-      key: 'current_config',
+      key: this.scopedKey('current_config'),
+      localKey: 'current_config',
+      projectId: this.currentProjectId,
       config: sanitizedConfig, // deep_copy_and_strip_out_nonserializable_fields
       timestamp: Date.now()
     }
 
+    await this.touchProject(this.currentProjectId)
+
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['configs'], 'readwrite')
       const store = transaction.objectStore('configs')
@@ -116,6 +209,12 @@ class ConfigStorage {
       if (cloned?.theme?.font?.type === 'custom') {
         if (!cloned.theme.font.custom) cloned.theme.font.custom = {}
         cloned.theme.font.custom.file = null
+        for (const fallback of cloned.theme.font.custom.fallbacks || []) {
+          fallback.file = null
+        }
+        if (cloned.theme.font.custom.icons) {
+          cloned.theme.font.custom.icons.file = null
+        }
       }
 
       // expression_pictures（support_new hash remove_duplicate_structures）
@@ -173,7 +272,7 @@ class ConfigStorage {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['configs'], 'readonly')
       const store = transaction.objectStore('configs')
-      const request = store.get('current_config')
+      const request = store.get(this.scopedKey('current_config'))
 
       request.onerror = () => {
         console.error('加载配置失败:', request.error)
@@ -221,7 +320,9 @@ class ConfigStorage {
     }
 
     const fileData = {
-      id,
+      id: this.scopedKey(id),
+      localKey: id,
+      projectId: this.currentProjectId,
       type,
       name: file.name,
       size: file.size,
@@ -262,7 +363,7 @@ class ConfigStorage {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['files'], 'readonly')
       const store = transaction.objectStore('files')
-      const request = store.get(id)
+      const request = store.get(this.scopedKey(id))
 
       request.onerror = () => {
         console.error('加载文件失败:', request.error)
@@ -280,7 +381,7 @@ class ConfigStorage {
           })
 
           // add_additional_metadata
-          file.storedId = result.id
+          file.storedId = result.localKey
           file.storedType = result.type
           file.storedMetadata = result.metadata
           file.storedTimestamp = result.timestamp
@@ -316,7 +417,7 @@ class ConfigStorage {
       }
 
       request.onsuccess = () => {
-        const results = request.result || []
+        const results = (request.result || []).filter(result => result.projectId === this.currentProjectId)
         const files = results.map(result => {
           const blob = new Blob([result.data], { type: result.mimeType })
           const file = new File([blob], result.name, {
@@ -324,7 +425,7 @@ class ConfigStorage {
             lastModified: result.lastModified
           })
 
-          file.storedId = result.id
+          file.storedId = result.localKey
           file.storedType = result.type
           file.storedMetadata = result.metadata
           file.storedTimestamp = result.timestamp
@@ -351,7 +452,9 @@ class ConfigStorage {
     }
 
     const tempData = {
-      key,
+      key: this.scopedKey(key),
+      localKey: key,
+      projectId: this.currentProjectId,
       type,
       data,
       metadata,
@@ -388,7 +491,7 @@ class ConfigStorage {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['temp_data'], 'readonly')
       const store = transaction.objectStore('temp_data')
-      const request = store.get(key)
+      const request = store.get(this.scopedKey(key))
 
       request.onerror = () => {
         console.error('加载临时数据失败:', request.error)
@@ -403,7 +506,7 @@ class ConfigStorage {
   }
 
   /**
-   * clear_all_stored_data
+   * clear_all_stored_data_of_the_current_project
    * @returns {Promise<void>}
    */
   async clearAll() {
@@ -411,40 +514,243 @@ class ConfigStorage {
       await this.initialize()
     }
 
-    const storeNames = ['configs', 'files', 'temp_data']
-    
+    await this.deleteProjectData(this.currentProjectId)
+    console.log('所有存储数据已清空')
+  }
+
+  /**
+   * delete_all_data_of_the_project（configuration、files、temporary_data）
+   * @param {string} projectId - project_id
+   * @returns {Promise<void>}
+   */
+  async deleteProjectData(projectId) {
+    const storeNames = Object.keys(PROJECT_STORES)
+
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(storeNames, 'readwrite')
-      let completedStores = 0
-      let hasError = false
-
-      const checkComplete = () => {
-        completedStores++
-        if (completedStores === storeNames.length) {
-          if (hasError) {
-            reject(new Error('清空部分数据时出现错误'))
-          } else {
-            console.log('所有存储数据已清空')
-            resolve()
+
+      storeNames.forEach(storeName => {
+        const index = transaction.objectStore(storeName).index('projectId')
+        const request = index.openCursor(IDBKeyRange.only(projectId))
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (cursor) {
+            cursor.delete()
+            cursor.continue()
           }
         }
+      })
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => {
+        console.error('清空项目数据失败:', transaction.error)
+        reject(new Error('清空部分数据时出现错误'))
       }
+    })
+  }
 
-      storeNames.forEach(storeName => {
-        const store = transaction.objectStore(storeName)
-        const request = store.clear()
+  /**
+   * get_a_list_of_all_projects
+   * @returns {Promise<Array>} project_list [{id, name, createdAt, updatedAt}]
+   */
+  async listProjects() {
+    if (!this.initialized) {
+      await this.initialize()
+    }
 
-        request.onerror = () => {
-          console.error(`clear ${storeName} fail:`, request.error)
-          hasError = true
-          checkComplete()
-        }
+    const projects = await this.getAllRecords('projects')
+    return projects.sort((a, b) => a.createdAt - b.createdAt)
+  }
 
-        request.onsuccess = () => {
-          console.log(`${storeName} cleared`)
-          checkComplete()
-        }
-      })
+  /**
+   * get_the_current_project
+   * @returns {Promise<Object|null>} project_information
+   */
+  async getCurrentProject() {
+    if (!this.initialized) {
+      await this.initialize()
+    }
+    return await this.getRecord('projects', this.currentProjectId)
+  }
+
+  /**
+   * create_a_new_project
+   * @param {string} name - project_name
+   * @returns {Promise<Object>} project_information
+   */
+  async createProject(name) {
+    if (!this.initialized) {
+      await this.initialize()
+    }
+
+    const id = `project_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+    const project = this.createProjectRecord(id, this.normalizeProjectName(name))
+    await this.putRecord('projects', project)
+    return project
+  }
+
+  /**
+   * copy_a_project（including_configuration_and_files）
+   * @param {string} sourceId - source_project_id
+   * @param {string} name - new_project_name
+   * @returns {Promise<Object>} new_project_information
+   */
+  async duplicateProject(sourceId, name) {
+    const project = await this.createProject(name)
+
+    for (const [storeName, keyField] of Object.entries(PROJECT_STORES)) {
+      const records = await this.getAllRecords(storeName, sourceId)
+      for (const record of records) {
+        await this.putRecord(storeName, {
+          ...record,
+          [keyField]: this.scopedKey(record.localKey, project.id),
+          projectId: project.id
+        })
+      }
+    }
+
+    return project
+  }
+
+  /**
+   * rename_project
+   * @param {string} id - project_id
+   * @param {string} name - new_name
+   * @returns {Promise<Object>} project_information
+   */
+  async renameProject(id, name) {
+    if (!this.initialized) {
+      await this.initialize()
+    }
+
+    const project = await this.getRecord('projects', id)
+    if (!project) {
+      throw new Error(`项目不存在: ${id}`)
+    }
+    project.name = this.normalizeProjectName(name)
+    project.updatedAt = Date.now()
+    await this.putRecord('projects', project)
+    return project
+  }
+
+  /**
+   * delete_project_and_all_its_data
+   * if_the_current_project_is_deleted，switch_to_another_project
+   * @param {string} id - project_id
+   * @returns {Promise<void>}
+   */
+  async deleteProject(id) {
+    if (!this.initialized) {
+      await this.initialize()
+    }
+
+    await this.deleteProjectData(id)
+    await this.deleteRecord('projects', id)
+
+    if (id === this.currentProjectId) {
+      localStorage.removeItem(ACTIVE_PROJECT_KEY)
+      await this.ensureCurrentProject()
+      localStorage.setItem(ACTIVE_PROJECT_KEY, this.currentProjectId)
+    }
+  }
+
+  /**
+   * switch_the_current_project
+   * @param {string} id - project_id
+   * @returns {Promise<Object>} project_information
+   */
+  async switchProject(id) {
+    if (!this.initialized) {
+      await this.initialize()
+    }
+
+    const project = await this.getRecord('projects', id)
+    if (!project) {
+      throw new Error(`项目不存在: ${id}`)
+    }
+    this.currentProjectId = id
+    localStorage.setItem(ACTIVE_PROJECT_KEY, id)
+    console.log(`已切换到项目: ${project.name}`)
+    return project
+  }
+
+  /**
+   * update_the_modification_time_of_the_project
+   * @param {string} id - project_id
+   * @returns {Promise<void>}
+   */
+  async touchProject(id) {
+    const project = await this.getRecord('projects', id)
+    if (project) {
+      project.updatedAt = Date.now()
+      await this.putRecord('projects', project)
+    }
+  }
+
+  normalizeProjectName(name) {
+    const trimmed = String(name || '').trim()
+    if (!trimmed) {
+      throw new Error('项目名称不能为空')
+    }
+    return trimmed.slice(0, 64)
+  }
+
+  /**
+   * read_a_record
+   * @param {string} storeName - table_name
+   * @param {string} key - key
+   * @returns {Promise<Object|null>}
+   */
+  getRecord(storeName, key) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).get(key)
+      request.onerror = () => reject(request.error)
+      request.onsuccess = () => resolve(request.result || null)
+    })
+  }
+
+  /**
+   * read_all_records，optionally_filter_by_project
+   * @param {string} storeName - table_name
+   * @param {string} projectId - project_id（optional）
+   * @returns {Promise<Array>}
+   */
+  getAllRecords(storeName, projectId = null) {
+    return new Promise((resolve, reject) => {
+      const store = this.db.transaction([storeName], 'readonly').objectStore(storeName)
+      const request = projectId
+        ? store.index('projectId').getAll(IDBKeyRange.only(projectId))
+        : store.getAll()
+      request.onerror = () => reject(request.error)
+      request.onsuccess = () => resolve(request.result || [])
+    })
+  }
+
+  /**
+   * write_a_record
+   * @param {string} storeName - table_name
+   * @param {Object} record - record
+   * @returns {Promise<void>}
+   */
+  putRecord(storeName, record) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readwrite').objectStore(storeName).put(record)
+      request.onerror = () => reject(request.error)
+      request.onsuccess = () => resolve()
+    })
+  }
+
+  /**
+   * delete_a_record
+   * @param {string} storeName - table_name
+   * @param {string} key - key
+   * @returns {Promise<void>}
+   */
+  deleteRecord(storeName, key) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readwrite').objectStore(storeName).delete(key)
+      request.onerror = () => reject(request.error)
+      request.onsuccess = () => resolve()
     })
   }
 
@@ -461,7 +767,7 @@ class ConfigStorage {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['files'], 'readwrite')
       const store = transaction.objectStore('files')
-      const request = store.delete(id)
+      const request = store.delete(this.scopedKey(id))
 
       request.onerror = () => {
         console.error('删除文件失败:', request.error)
@@ -484,14 +790,14 @@ class ConfigStorage {
       await this.initialize()
     }
 
-    const storeNames = ['configs', 'files', 'temp_data']
+    const storeNames = Object.keys(PROJECT_STORES)
     const info = {}
 
     for (const storeName of storeNames) {
       const count = await new Promise((resolve, reject) => {
         const transaction = this.db.transaction([storeName], 'readonly')
         const store = transaction.objectStore(storeName)
-        const request = store.count()
+        const request = store.index('projectId').count(IDBKeyRange.only(this.currentProjectId))
 
         request.onerror = () => reject(request.error)
         request.onsuccess = () => resolve(request.result)
@@ -0,0 +1,278 @@
+/**
+ * EmojiBulkImporter kind
+ * import_many_emoticons_at_once，map_files_to_emotions_by_file_name
+ *
+ * main_functions：
+ * - collect_png/gif_files_from_a_multi_file_selection、a_folder_drop_or_a .zip
+ * - file_names_are_normalized（"01 Happy.png" -> happy），then_matched_to_emotion_names_or_aliases（joy -> happy）
+ * - the_alias_table_can_be_edited，user_changes_are_kept_in localStorage
+ */
+
+import JSZip from 'jszip'
+
+const EMOJI_ALIASES_KEY = 'xiaozhi-emoji-aliases'
+const EMOJI_EXTENSIONS = ['png', 'gif']
+const MIME_TYPES = { png: 'image/png', gif: 'image/gif' }
+
+const DEFAULT_EMOTION_ALIASES = {
+  default: 'neutral',
+  idle: 'neutral',
+  normal: 'neutral',
+  joy: 'happy',
+  smile: 'happy',
+  glad: 'happy',
+  laugh: 'laughing',
+  grin: 'laughing',
+  lol: 'funny',
+  haha: 'funny',
+  unhappy: 'sad',
+  sorrow: 'sad',
+  mad: 'angry',
+  rage: 'angry',
+  cry: 'crying',
+  tears: 'crying',
+  love: 'loving',
+  heart_eyes: 'loving',
+  blush: 'embarrassed',
+  shy: 'embarrassed',
+  surprise: 'surprised',
+  wow: 'surprised',
+  shock: 'shocked',
+  scared: 'shocked',
+  think: 'thinking',
+  hmm: 'thinking',
+  wink: 'winking',
+  sunglasses: 'cool',
+  calm: 'relaxed',
+  yum: 'delicious',
+  hungry: 'delicious',
+  kiss: 'kissy',
+  smug: 'confident',
+  sleep: 'sleepy',
+  tired: 'sleepy',
+  zzz: 'sleepy',
+  tongue: 'silly',
+  crazy: 'silly',
+  confuse: 'confused',
+  eyeroll: 'confused'
+}
+
+class EmojiBulkImporter {
+  /**
+   * get_the_default_alias_table
+   * @returns {Object} alias -> emotion_name
+   */
+  getDefaultAliases() {
+    return { ...DEFAULT_EMOTION_ALIASES }
+  }
+
+  /**
+   * read_the_alias_table（saved_table_or_default）
+   * @returns {Object} alias -> emotion_name
+   */
+  loadAliases() {
+    try {
+      const saved = localStorage.getItem(EMOJI_ALIASES_KEY)
+      if (saved) return JSON.parse(saved)
+    } catch (error) {
+      console.warn('Failed to read emoji aliases:', error)
+    }
+    return this.getDefaultAliases()
+  }
+
+  /**
+   * save_the_alias_table，null_restores_the_default
+   * @param {Object|null} aliases - alias -> emotion_name
+   */
+  saveAliases(aliases) {
+    if (aliases) {
+      localStorage.setItem(EMOJI_ALIASES_KEY, JSON.stringify(aliases))
+    } else {
+      localStorage.removeItem(EMOJI_ALIASES_KEY)
+    }
+  }
+
+  /**
+   * parse_the_alias_text（one "alias = emotion" per_line，# starts_a_comment）
+   * @param {string} text - alias_text
+   * @returns {Object} {aliases, invalidLines: [line_number]}
+   */
+  parseAliases(text) {
+    const aliases = {}
+    const invalidLines = []
+    text.split(/\r?\n/).forEach((line, index) => {
+      const content = line.replace(/#.*$/, '').trim()
+      if (!content) return
+      const match = content.match(/^([^=]+)=([^=]+)$/)
+      if (!match) {
+        invalidLines.push(index + 1)
+        return
+      }
+      aliases[this.normalizeName(match[1])] = match[2].trim()
+    })
+    return { aliases, invalidLines }
+  }
+
+  /**
+   * format_the_alias_table_as_text
+   * @param {Object} aliases - alias -> emotion_name
+   * @returns {string} alias_text
+   */
+  formatAliases(aliases) {
+    return Object.entries(aliases).map(([alias, emotion]) => `${alias} = ${emotion}`).join('\n')
+  }
+
+  /**
+   * collect_emoticon_files，.zip files_are_expanded
+   * @param {Array<File>|FileList} files - selected_files
+   * @returns {Promise<Array<Object>>} [{file, path}]
+   */
+  async collectFiles(files) {
+    const entries = []
+    for (const file of files) {
+      const path = file.webkitRelativePath || file.name
+      if (this.getExtension(file.name) === 'zip') {
+        entries.push(...await this.expandZip(file))
+      } else if (this.isEmojiFile(path)) {
+        entries.push({ file, path })
+      }
+    }
+    return entries
+  }
+
+  /**
+   * collect_emoticon_files_from_a_drop，dropped_folders_are_read_recursively
+   * @param {DataTransfer} dataTransfer - drop_data
+   * @returns {Promise<Array<Object>>} [{file, path}]
+   */
+  async collectDropped(dataTransfer) {
+    const items = [...(dataTransfer.items || [])]
+    const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean)
+    if (entries.length === 0) {
+      return this.collectFiles(dataTransfer.files)
+    }
+
+    const files = []
+    for (const entry of entries) {
+      files.push(...await this.readEntry(entry))
+    }
+    return this.collectFiles(files)
+  }
+
+  /**
+   * read_a_file_system_entry（folders_recursively）
+   * @param {FileSystemEntry} entry - entry
+   * @returns {Promise<Array<File>>} files（webkitRelativePath is_not_set，the_name_is_enough_for_matching）
+   */
+  async readEntry(entry) {
+    if (entry.isFile) {
+      return [await new Promise((resolve, reject) => entry.file(resolve, reject))]
+    }
+    if (!entry.isDirectory) return []
+
+    const reader = entry.createReader()
+    const files = []
+    // readEntries returns_at_most_100_entries_per_call
+    for (;;) {
+      const children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+      if (children.length === 0) break
+      for (const child of children) {
+        files.push(...await this.readEntry(child))
+      }
+    }
+    return files
+  }
+
+  /**
+   * read_the_emoticon_files_in_a .zip
+   * @param {File|Blob} file - .zip file
+   * @returns {Promise<Array<Object>>} [{file, path}]
+   */
+  async expandZip(file) {
+    let zip
+    try {
+      zip = await JSZip.loadAsync(file)
+    } catch (error) {
+      throw new Error(`Not a valid zip file: ${error.message}`)
+    }
+
+    const entries = []
+    for (const zipEntry of Object.values(zip.files)) {
+      if (zipEntry.dir || !this.isEmojiFile(zipEntry.name)) continue
+      const blob = await zipEntry.async('blob')
+      const name = zipEntry.name.split('/').pop()
+      const type = MIME_TYPES[this.getExtension(name)]
+      entries.push({ file: new File([blob], name, { type }), path: zipEntry.name })
+    }
+    return entries
+  }
+
+  /**
+   * map_files_to_emotions（exact_name_first，then_alias），each_emotion_is_used_only_once
+   * @param {Array<Object>} entries - [{file, path}]
+   * @param {Array<string>} emotionKeys - available_emotion_names
+   * @param {Object} aliases - alias -> emotion_name
+   * @returns {Array<Object>} [{file, path, name, emotion, match: name|alias|duplicate|null}]
+   */
+  matchFiles(entries, emotionKeys, aliases = {}) {
+    const sorted = [...entries].sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }))
+    const results = sorted.map(entry => {
+      const name = this.normalizeName(entry.path)
+      if (emotionKeys.includes(name)) {
+        return { ...entry, name, emotion: name, match: 'name' }
+      }
+      const alias = aliases[name]
+      if (alias && emotionKeys.includes(alias)) {
+        return { ...entry, name, emotion: alias, match: 'alias' }
+      }
+      return { ...entry, name, emotion: null, match: null }
+    })
+
+    // exact_names_take_priority_over_aliases，otherwise_the_first_file_wins
+    const used = new Set(results.filter(result => result.match === 'name').map(result => result.emotion))
+    const seen = new Set()
+    for (const result of results) {
+      if (!result.emotion) continue
+      const taken = result.match === 'alias' ? used.has(result.emotion) : seen.has(result.emotion)
+      if (taken) {
+        result.emotion = null
+        result.match = 'duplicate'
+        continue
+      }
+      seen.add(result.emotion)
+      used.add(result.emotion)
+    }
+    return results
+  }
+
+  /**
+   * normalize_a_file_name_to_an_emotion_name（"emoji/01 Heart-Eyes.png" -> heart_eyes）
+   * @param {string} path - file_path_or_name
+   * @returns {string} name
+   */
+  normalizeName(path) {
+    return path
+      .split('/').pop()
+      .replace(/\.[^.]+$/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^[0-9_]+(?=[a-z])/, '')
+      .replace(/^_+|_+$/g, '')
+  }
+
+  isEmojiFile(path) {
+    const name = path.split('/').pop()
+    // skip_hidden_files（.DS_Store、__MACOSX）
+    if (name.startsWith('.') || path.startsWith('__MACOSX/')) return false
+    return EMOJI_EXTENSIONS.includes(this.getExtension(name))
+  }
+
+  getExtension(name) {
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : ''
+  }
+}
+
+const emojiBulkImporter = new EmojiBulkImporter()
+
+export default emojiBulkImporter
+export { EmojiBulkImporter, DEFAULT_EMOTION_ALIASES }
@@ -0,0 +1,360 @@
+/**
+ * EmojiConverter kind
+ * convert_emoticons_to_lvgl_native_images，the_device_draws_them_without_decoding_png/gif
+ *
+ * image_formats：
+ * - original：pack png/gif as_is（decoded_on_the_device，default，what_existing_firmware_reads）
+ * - RGB565A8 / ARGB8888：static_images_become .bin（lv_image_dsc_t header + pixels）
+ * - auto：native_on_chips_that_decode_slowly（esp32c3、esp32c6），original_on_other_chips（opt_in，the_firmware_must_read .bin/.anim）
+ *
+ * animated_emoticons（gif_with_more_than_one_frame）become .anim frame_sequences（little_endian）：
+ * - header (16 bytes)：magic "ANIM"、version(16)、frame_count(16)、width(16)、height(16)、loop_count(16，0 = forever)、reserved(16)
+ * - frame_table（12 bytes per_frame）：offset(32，from_the_start_of_the_file)、size(32)、delay_ms(32)
+ * - frame_images：each_frame_is_a_complete_lvgl_image（same_layout_as .bin），aligned_to_4_bytes，
+ *   identical_frames_share_one_image
+ */
+
+import imageProcessor from './ImageProcessor.js'
+import gifDecoder from './GifDecoder.js'
+import lvglImage, { LV_IMAGE_DSC_SIZE } from './LvglImage.js'
+import AssetsBinParser from './AssetsBinParser.js'
+
+const EMOJI_FORMATS = ['auto', 'original', 'RGB565A8', 'ARGB8888']
+const DEFAULT_EMOJI_FORMAT = 'original'
+const NATIVE_EMOJI_CHIPS = ['esp32c3', 'esp32c6']
+// contain：scale_down_to_fit，smaller_images_are_kept；cover：fill_and_crop；pad：scale_down_and_center_on_a_transparent_canvas
+const EMOJI_FIT_MODES = ['contain', 'cover', 'pad']
+const DEFAULT_EMOJI_FIT = 'contain'
+// file_names_of_size_overrides：emoji_<hash>_<width>x<height><code>.<ext>
+const EMOJI_FIT_CODES = { contain: 'c', cover: 'v', pad: 'p' }
+
+const EMOJI_ANIMATION_MAGIC = 0x4D494E41 // "ANIM"
+const EMOJI_ANIMATION_VERSION = 1
+const EMOJI_ANIMATION_HEADER_SIZE = 16
+const EMOJI_ANIMATION_FRAME_SIZE = 12
+
+class EmojiConverter {
+  constructor() {
+    this.parser = new AssetsBinParser() // read_the_lvgl_image_headers_of_converted_emoticons
+  }
+
+  /**
+   * get_the_list_of_emoticon_image_formats
+   * @returns {Array<string>} format_names
+   */
+  getFormats() {
+    return [...EMOJI_FORMATS]
+  }
+
+  /**
+   * resolve_the_format_actually_used_for_a_chip
+   * @param {string} format - auto、original、RGB565A8 or ARGB8888
+   * @param {Object} chip - {model, display: {color}}
+   * @returns {string} original、RGB565A8 or ARGB8888
+   */
+  resolveFormat(format = DEFAULT_EMOJI_FORMAT, chip = {}) {
+    if (format && format !== 'auto') {
+      if (!EMOJI_FORMATS.includes(format)) {
+        throw new Error(`Unsupported emoji format: ${format}`)
+      }
+      return format
+    }
+    if (!NATIVE_EMOJI_CHIPS.includes(chip?.model)) {
+      return 'original'
+    }
+    return this.getNativeFormat(chip?.display?.color)
+  }
+
+  /**
+   * native_format_matching_the_display（24/32_bit_displays_use ARGB8888）
+   * @param {string} displayColor - display_color_format
+   * @returns {string} RGB565A8 or ARGB8888
+   */
+  getNativeFormat(displayColor) {
+    const bits = lvglImage.getFormat(displayColor || 'RGB565')?.bitsPerPixel
+    return bits >= 24 ? 'ARGB8888' : 'RGB565A8'
+  }
+
+  /**
+   * whether_the_format_is_a_lvgl_native_format
+   * @param {string} format - resolved_format
+   * @returns {boolean}
+   */
+  isNative(format) {
+    return format === 'RGB565A8' || format === 'ARGB8888'
+  }
+
+  /**
+   * file_extension_of_a_converted_emoticon
+   * @param {boolean} animated - whether_it_has_more_than_one_frame
+   * @returns {string} anim or bin
+   */
+  getExtension(animated) {
+    return animated ? 'anim' : 'bin'
+  }
+
+  /**
+   * count_the_frames_of_an_emoticon（png：1）
+   * @param {ArrayBuffer} buffer - png/gif data_or_an .anim frame_sequence
+   * @returns {number} frame_count
+   */
+  countFrames(buffer) {
+    if (imageProcessor.detectFormat(buffer) === 'gif') {
+      return gifDecoder.countFrames(buffer)
+    }
+    return this.parseAnimation(buffer)?.frames.length || 1
+  }
+
+  /**
+   * convert_an_emoticon_file
+   * @param {ArrayBuffer} buffer - png/gif data，or_an .anim frame_sequence（re_encoded_in_the_target_format）
+   * @param {string} format - RGB565A8 or ARGB8888
+   * @param {Object} targetSize - {width, height}
+   * @param {string} fit - contain、cover or pad（see fitToSize）
+   * @returns {Promise<Object>} {data: ArrayBuffer, animated, width, height, frameCount, uniqueFrames}
+   */
+  async convert(buffer, format, targetSize, fit = DEFAULT_EMOJI_FIT) {
+    const isGif = imageProcessor.detectFormat(buffer) === 'gif'
+    let image
+    if (isGif || this.isAnimation(buffer)) {
+      const animation = isGif ? gifDecoder.decode(buffer) : this.decode(buffer)
+      const frames = animation.frames.map(frame => ({
+        ...this.fitToSize(frame, targetSize, fit),
+        delay: frame.delay
+      }))
+      // a_single_frame_is_a_still_image（.bin）
+      if (frames.length > 1) {
+        return this.encodeAnimation({ ...animation, frames }, format)
+      }
+      image = frames[0]
+    } else {
+      image = this.fitToSize(await imageProcessor.decode(buffer), targetSize, fit)
+    }
+
+    return {
+      data: lvglImage.encode(image, format),
+      animated: false,
+      width: image.width,
+      height: image.height,
+      frameCount: 1,
+      uniqueFrames: 1
+    }
+  }
+
+  /**
+   * place_an_image_in_the_target_size
+   * - contain：images_larger_than_the_target_are_scaled_down（transparent_padding），smaller_images_are_kept
+   * - cover：scale_to_fill_the_target，center_crop
+   * - pad：like contain，but_the_result_is_always_exactly_the_target_size（centered）
+   * @param {Object} image - {width, height, data}
+   * @param {Object} targetSize - {width, height}
+   * @param {string} fit - contain、cover or pad
+   * @returns {Object} image
+   */
+  fitToSize(image, targetSize, fit = DEFAULT_EMOJI_FIT) {
+    if (!targetSize) return image
+    const { width, height } = targetSize
+    const transparent = [0, 0, 0, 0]
+
+    if (fit === 'cover') {
+      if (image.width === width && image.height === height) return image
+      return imageProcessor.fit(image, width, height, { mode: 'cover' })
+    }
+
+    if (image.width <= width && image.height <= height) {
+      if (fit !== 'pad' || (image.width === width && image.height === height)) return image
+      const x = Math.floor((width - image.width) / 2)
+      const y = Math.floor((height - image.height) / 2)
+      return imageProcessor.composite(image, width, height, x, y, transparent)
+    }
+    return imageProcessor.fit(image, width, height, {
+      mode: 'contain',
+      background: transparent
+    })
+  }
+
+  /**
+   * whether_an_image_of_this_size_must_be_processed_for_the_fit_mode
+   * @param {Object} size - {width, height} of_the_image
+   * @param {Object} targetSize - {width, height}
+   * @param {string} fit - contain、cover or pad
+   * @returns {boolean}
+   */
+  needsFitting(size, targetSize, fit = DEFAULT_EMOJI_FIT) {
+    if (fit === 'contain') {
+      return size.width > targetSize.width || size.height > targetSize.height
+    }
+    return size.width !== targetSize.width || size.height !== targetSize.height
+  }
+
+  /**
+   * encode_frames_as_an .anim frame_sequence
+   * @param {Object} animation - {loopCount, frames: [{width, height, data, delay}]}
+   * @param {string} format - RGB565A8 or ARGB8888
+   * @returns {Object} {data: ArrayBuffer, animated, width, height, frameCount, uniqueFrames}
+   */
+  encodeAnimation(animation, format) {
+    const { frames } = animation
+    const { width, height } = frames[0]
+    const images = []
+    const imageIndex = new Map()
+    const table = []
+    let offset = EMOJI_ANIMATION_HEADER_SIZE + frames.length * EMOJI_ANIMATION_FRAME_SIZE
+
+    for (const frame of frames) {
+      const image = new Uint8Array(lvglImage.encode(frame, format))
+      const key = this.getFrameKey(image)
+      const candidates = imageIndex.get(key) || []
+      let entry = candidates.find(item => this.bytesEqual(item.image, image))
+      if (!entry) {
+        offset = this.align(offset)
+        entry = { offset, size: image.length, image }
+        candidates.push(entry)
+        imageIndex.set(key, candidates)
+        images.push(entry)
+        offset += image.length
+      }
+      table.push({ offset: entry.offset, size: entry.size, delay: frame.delay })
+    }
+
+    const buffer = new ArrayBuffer(offset)
+    const view = new DataView(buffer)
+    const bytes = new Uint8Array(buffer)
+
+    view.setUint32(0, EMOJI_ANIMATION_MAGIC, true)
+    view.setUint16(4, EMOJI_ANIMATION_VERSION, true)
+    view.setUint16(6, frames.length, true)
+    view.setUint16(8, width, true)
+    view.setUint16(10, height, true)
+    view.setUint16(12, Math.min(animation.loopCount || 0, 0xFFFF), true)
+
+    table.forEach((entry, i) => {
+      const position = EMOJI_ANIMATION_HEADER_SIZE + i * EMOJI_ANIMATION_FRAME_SIZE
+      view.setUint32(position, entry.offset, true)
+      view.setUint32(position + 4, entry.size, true)
+      view.setUint32(position + 8, entry.delay, true)
+    })
+    for (const { offset: start, image } of images) {
+      bytes.set(image, start)
+    }
+
+    return {
+      data: buffer,
+      animated: true,
+      width,
+      height,
+      frameCount: frames.length,
+      uniqueFrames: images.length
+    }
+  }
+
+  /**
+   * whether_the_data_is_an .anim frame_sequence
+   * @param {ArrayBuffer|Uint8Array} buffer - data
+   * @returns {boolean}
+   */
+  isAnimation(buffer) {
+    return this.parseAnimation(buffer) !== null
+  }
+
+  /**
+   * parse_the_header_and_frame_table_of_an .anim file
+   * @param {ArrayBuffer|Uint8Array} buffer - anim data
+   * @returns {Object|null} {width, height, loopCount, frames: [{offset, size, delay}]}
+   */
+  parseAnimation(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+    if (bytes.length < EMOJI_ANIMATION_HEADER_SIZE) return null
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    if (view.getUint32(0, true) !== EMOJI_ANIMATION_MAGIC) return null
+
+    const frameCount = view.getUint16(6, true)
+    if (bytes.length < EMOJI_ANIMATION_HEADER_SIZE + frameCount * EMOJI_ANIMATION_FRAME_SIZE) return null
+
+    const frames = []
+    for (let i = 0; i < frameCount; i++) {
+      const position = EMOJI_ANIMATION_HEADER_SIZE + i * EMOJI_ANIMATION_FRAME_SIZE
+      frames.push({
+        offset: view.getUint32(position, true),
+        size: view.getUint32(position + 4, true),
+        delay: view.getUint32(position + 8, true)
+      })
+    }
+
+    return {
+      version: view.getUint16(4, true),
+      width: view.getUint16(8, true),
+      height: view.getUint16(10, true),
+      loopCount: view.getUint16(12, true),
+      frames
+    }
+  }
+
+  /**
+   * decode_a_converted_emoticon（.bin or .anim）back_to RGBA frames
+   * @param {ArrayBuffer|Uint8Array} buffer - converted_data
+   * @returns {Object} {width, height, loopCount, frames: [{width, height, data, delay}]}
+   */
+  decode(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+    const animation = this.parseAnimation(bytes)
+
+    const decodeImage = (data) => {
+      const header = this.parser.parseRawImageHeader(data)
+      if (!header) throw new Error('Invalid LVGL image in emoji')
+      const copy = data.slice().buffer
+      return lvglImage.decode(copy, header)
+    }
+
+    if (!animation) {
+      const image = decodeImage(bytes)
+      return { width: image.width, height: image.height, loopCount: 0, frames: [{ ...image, delay: 0 }] }
+    }
+
+    return {
+      width: animation.width,
+      height: animation.height,
+      loopCount: animation.loopCount,
+      frames: animation.frames.map(frame => ({
+        ...decodeImage(bytes.subarray(frame.offset, frame.offset + frame.size)),
+        delay: frame.delay
+      }))
+    }
+  }
+
+  /**
+   * size_of_the_rgba_buffer_the_device_needs_to_decode_an_original_emoticon（lvgl_decodes_to ARGB8888）
+   * @param {Object} size - {width, height}
+   * @returns {number} bytes
+   */
+  getDecodeBufferSize(size) {
+    return (size?.width || 0) * (size?.height || 0) * 4
+  }
+
+  // identical_frames_have_identical_bytes，group_them_by_length_and_hash，then_compare_the_bytes
+  getFrameKey(image) {
+    let hash = 2166136261
+    for (let i = LV_IMAGE_DSC_SIZE; i < image.length; i++) {
+      hash = Math.imul(hash ^ image[i], 16777619)
+    }
+    return `${image.length}:${hash >>> 0}`
+  }
+
+  bytesEqual(a, b) {
+    if (a.length !== b.length) return false
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false
+    }
+    return true
+  }
+
+  align(value) {
+    return (value + 3) & ~3
+  }
+}
+
+const emojiConverter = new EmojiConverter()
+
+export default emojiConverter
+export { EmojiConverter, EMOJI_FORMATS, DEFAULT_EMOJI_FORMAT, NATIVE_EMOJI_CHIPS, EMOJI_FIT_MODES, DEFAULT_EMOJI_FIT, EMOJI_FIT_CODES }
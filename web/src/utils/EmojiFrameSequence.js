@@ -0,0 +1,210 @@
+/**
+ * EmojiFrameSequence kind
+ * build_animated_emoticons_from_sprite_sheets_or_png_frame_sequences
+ *
+ * main_functions：
+ * - slice_a_sprite_sheet_by_rows/columns（row_by_row，left_to_right）
+ * - decode_png_frames（file_names_are_sorted_naturally：frame_2 before frame_10）
+ * - encode_as GIF（public/workers/gif.js，browser_only）
+ * - encode_as .anim native_frame_sequence（see EmojiConverter）
+ */
+
+import imageProcessor from './ImageProcessor.js'
+import emojiConverter from './EmojiConverter.js'
+
+const GIF_ENCODER_URL = './workers/gif.js'
+const GIF_WORKER_URL = './workers/gif.worker.js'
+// gif.js only_supports_one_transparent_color，transparent_pixels_are_replaced_with_this_color
+const GIF_TRANSPARENT_COLOR = 0xFF00FF
+const GIF_ALPHA_THRESHOLD = 128
+const DEFAULT_FRAME_RATE = 10
+
+class EmojiFrameSequence {
+  constructor() {
+    this.encoderPromise = null
+  }
+
+  /**
+   * slice_a_sprite_sheet_into_frames
+   * @param {Object} image - {width, height, data}
+   * @param {Object} grid - {rows, columns, frameCount}，frameCount defaults_to rows * columns
+   * @returns {Array<Object>} frames [{width, height, data}]
+   */
+  sliceSpriteSheet(image, grid) {
+    const rows = Math.floor(grid.rows)
+    const columns = Math.floor(grid.columns)
+    if (!(rows >= 1 && columns >= 1)) {
+      throw new Error('Sprite sheet needs at least one row and one column')
+    }
+
+    const width = Math.floor(image.width / columns)
+    const height = Math.floor(image.height / rows)
+    if (width < 1 || height < 1) {
+      throw new Error(`Sprite sheet ${image.width}x${image.height} is too small for ${columns}x${rows} cells`)
+    }
+
+    const total = rows * columns
+    const frameCount = Math.min(total, grid.frameCount > 0 ? Math.floor(grid.frameCount) : total)
+    const frames = []
+    for (let i = 0; i < frameCount; i++) {
+      const left = (i % columns) * width
+      const top = Math.floor(i / columns) * height
+      const data = new Uint8ClampedArray(width * height * 4)
+      for (let y = 0; y < height; y++) {
+        const start = ((top + y) * image.width + left) * 4
+        data.set(image.data.subarray(start, start + width * 4), y * width * 4)
+      }
+      frames.push({ width, height, data })
+    }
+    return frames
+  }
+
+  /**
+   * sort_frame_files_by_name（numbers_are_compared_by_value）
+   * @param {Array<File>} files - frame_files
+   * @returns {Array<File>} sorted_copy
+   */
+  sortFrameFiles(files) {
+    return [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }))
+  }
+
+  /**
+   * decode_frame_files，all_frames_must_have_the_same_size
+   * @param {Array<File>} files - png_frames（already_sorted）
+   * @returns {Promise<Array<Object>>} frames [{width, height, data}]
+   */
+  async decodeFrames(files) {
+    if (files.length === 0) {
+      throw new Error('No frame files')
+    }
+
+    const frames = []
+    for (const file of files) {
+      const frame = await imageProcessor.decode(await file.arrayBuffer())
+      const first = frames[0]
+      if (first && (frame.width !== first.width || frame.height !== first.height)) {
+        throw new Error(`Frame ${file.name} is ${frame.width}x${frame.height}, expected ${first.width}x${first.height}`)
+      }
+      frames.push(frame)
+    }
+    return frames
+  }
+
+  /**
+   * scale_down_frames_larger_than_the_emoticon_size（contain，transparent_padding）
+   * @param {Array<Object>} frames - frames
+   * @param {Object} targetSize - {width, height}
+   * @returns {Array<Object>} frames
+   */
+  fitFrames(frames, targetSize) {
+    return frames.map(frame => emojiConverter.fitToSize(frame, targetSize))
+  }
+
+  /**
+   * frame_delay_from_the_frame_rate（gif_delays_are_in_units_of_10ms）
+   * @param {number} frameRate - frames_per_second
+   * @returns {number} delay（ms）
+   */
+  getFrameDelay(frameRate = DEFAULT_FRAME_RATE) {
+    const delay = 1000 / (frameRate > 0 ? frameRate : DEFAULT_FRAME_RATE)
+    return Math.max(10, Math.round(delay / 10) * 10)
+  }
+
+  /**
+   * encode_frames_as_an .anim native_frame_sequence
+   * @param {Array<Object>} frames - frames
+   * @param {Object} options - {frameRate, loopCount, format: RGB565A8 or ARGB8888}
+   * @returns {Object} {data: ArrayBuffer, frameCount, uniqueFrames}
+   */
+  encodeNative(frames, options = {}) {
+    const delay = this.getFrameDelay(options.frameRate)
+    return emojiConverter.encodeAnimation({
+      loopCount: options.loopCount || 0,
+      frames: frames.map(frame => ({ ...frame, delay }))
+    }, options.format)
+  }
+
+  /**
+   * use gif.js encode_frames_as GIF（browser_only，runs_in Web Worker）
+   * @param {Array<Object>} frames - frames
+   * @param {Object} options - {frameRate, loopCount（0 means_forever，1 means_play_once）}
+   * @returns {Promise<Blob>} GIF
+   */
+  async encodeGif(frames, options = {}) {
+    const GIF = await this.loadGifEncoder()
+    const { width, height } = frames[0]
+    const loopCount = options.loopCount || 0
+    const delay = this.getFrameDelay(options.frameRate)
+
+    const gif = new GIF({
+      workerScript: GIF_WORKER_URL,
+      width,
+      height,
+      quality: 10,
+      // gif.js of repeat：-1 means_no_loop_extension
+      repeat: loopCount === 1 ? -1 : loopCount,
+      transparent: GIF_TRANSPARENT_COLOR
+    })
+    for (const frame of frames) {
+      gif.addFrame(new ImageData(this.keyTransparency(frame.data), width, height), { delay })
+    }
+
+    return await new Promise((resolve, reject) => {
+      gif.on('finished', blob => resolve(blob))
+      gif.on('abort', () => reject(new Error('GIF encoding aborted')))
+      gif.render()
+    })
+  }
+
+  /**
+   * replace_transparent_pixels_with_the_transparent_color，visible_pixels_become_opaque
+   * @param {Uint8ClampedArray} data - RGBA
+   * @returns {Uint8ClampedArray} RGBA
+   */
+  keyTransparency(data) {
+    const keyed = new Uint8ClampedArray(data)
+    const r = (GIF_TRANSPARENT_COLOR >> 16) & 0xFF
+    const g = (GIF_TRANSPARENT_COLOR >> 8) & 0xFF
+    const b = GIF_TRANSPARENT_COLOR & 0xFF
+    for (let i = 0; i < keyed.length; i += 4) {
+      if (keyed[i + 3] < GIF_ALPHA_THRESHOLD) {
+        keyed[i] = r
+        keyed[i + 1] = g
+        keyed[i + 2] = b
+      } else if (keyed[i] === r && keyed[i + 1] === g && keyed[i + 2] === b) {
+        // visible_pixels_of_the_transparent_color_are_shifted_slightly
+        keyed[i] = r - 1
+      }
+      keyed[i + 3] = 255
+    }
+    return keyed
+  }
+
+  /**
+   * load public/workers/gif.js（only_once）
+   * @returns {Promise<Function>} GIF constructor
+   */
+  loadGifEncoder() {
+    if (typeof window !== 'undefined' && window.GIF) {
+      return Promise.resolve(window.GIF)
+    }
+    if (!this.encoderPromise) {
+      this.encoderPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script')
+        script.src = GIF_ENCODER_URL
+        script.onload = () => resolve(window.GIF)
+        script.onerror = () => {
+          this.encoderPromise = null
+          reject(new Error(`Failed to load ${GIF_ENCODER_URL}`))
+        }
+        document.head.appendChild(script)
+      })
+    }
+    return this.encoderPromise
+  }
+}
+
+const emojiFrameSequence = new EmojiFrameSequence()
+
+export default emojiFrameSequence
+export { EmojiFrameSequence, DEFAULT_FRAME_RATE }
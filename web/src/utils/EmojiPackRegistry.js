@@ -0,0 +1,212 @@
+/**
+ * EmojiPackRegistry kind
+ * the_list_of_preset_emoticon_packs（the_editor、the_builder_and_the_generate_dialog_all_read_it）
+ *
+ * - static/emoji_packs.json lists_the_pack_directories
+ * - each_pack_is_described_by static/<pack>/pack.json：name、size、emotions、license
+ * - images_are static/<pack>/<emotion>.png
+ *
+ * adding_a_pack（for_example Noto Emoji or OpenMoji at 48px）only_needs_a_new_directory_and_a_line_in_emoji_packs.json
+ */
+
+import emotionRegistry, { DEFAULT_EMOTION } from './EmotionRegistry.js'
+import { getPlatform } from './platform/index.js'
+
+const PACK_INDEX_PATH = 'emoji_packs.json'
+const PACK_MANIFEST_NAME = 'pack.json'
+const PACK_IMAGE_EXTENSION = 'png'
+// png_emoticons_average_about_0.75_bytes_per_pixel（twemoji：32px ≈ 1KB，64px ≈ 3KB）
+const PNG_BYTES_PER_PIXEL = 0.75
+
+class EmojiPackRegistry {
+  constructor() {
+    this.packs = []
+    this.loadPromise = null
+  }
+
+  /**
+   * read_the_pack_index_and_all_pack_manifests（only_once）
+   * invalid_packs_are_skipped_with_a_warning
+   * @returns {Promise<Array<Object>>} packs
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadPacks().catch(error => {
+        this.loadPromise = null
+        throw error
+      })
+    }
+    return this.loadPromise
+  }
+
+  async loadPacks() {
+    const index = JSON.parse(await getPlatform().loadStaticText(PACK_INDEX_PATH))
+    const packs = []
+    for (const id of index.packs || []) {
+      try {
+        const manifest = JSON.parse(await getPlatform().loadStaticText(`${id}/${PACK_MANIFEST_NAME}`))
+        packs.push(this.normalizePack(id, manifest))
+      } catch (error) {
+        console.warn(`Skipping emoji pack ${id}: ${error.message}`)
+      }
+    }
+    this.packs = packs
+    return packs
+  }
+
+  /**
+   * check_a_pack_manifest_and_fill_in_defaults
+   * @param {string} id - pack_directory
+   * @param {Object} manifest - pack.json content
+   * @returns {Object} pack {id, name, family, size, emotions, preview, description, license}
+   */
+  normalizePack(id, manifest) {
+    const size = typeof manifest.size === 'number'
+      ? { width: manifest.size, height: manifest.size }
+      : manifest.size
+    if (!(Number.isInteger(size?.width) && size.width > 0 && Number.isInteger(size?.height) && size.height > 0)) {
+      throw new Error('size must be a positive integer or {width, height}')
+    }
+
+    const emotions = manifest.emotions
+    if (!Array.isArray(emotions) || !emotions.includes(DEFAULT_EMOTION)) {
+      throw new Error(`emotions must be a list that includes "${DEFAULT_EMOTION}"`)
+    }
+    for (const key of emotions) {
+      const error = emotionRegistry.validateKey(key)
+      if (error) throw new Error(emotionRegistry.describeError(key, error))
+    }
+
+    if (!manifest.license?.name) {
+      throw new Error('license.name is required')
+    }
+
+    return {
+      id,
+      name: manifest.name || id,
+      family: manifest.family || id,
+      size: { width: size.width, height: size.height },
+      emotions: [...emotions],
+      preview: (manifest.preview || emotions).filter(key => emotions.includes(key)),
+      description: manifest.description || '',
+      license: { ...manifest.license }
+    }
+  }
+
+  /**
+   * get_the_loaded_packs
+   * @returns {Array<Object>} packs
+   */
+  getPacks() {
+    return this.packs
+  }
+
+  /**
+   * get_a_loaded_pack
+   * @param {string} id - pack_directory
+   * @returns {Object|null} pack
+   */
+  getPack(id) {
+    return this.packs.find(pack => pack.id === id) || null
+  }
+
+  /**
+   * get_a_loaded_pack，unknown_packs_throw
+   * @param {string} id - pack_directory
+   * @returns {Object} pack
+   */
+  requirePack(id) {
+    const pack = this.getPack(id)
+    if (!pack) {
+      const known = this.packs.map(item => item.id).join(', ') || 'none loaded'
+      throw new Error(`Unknown emoji pack "${id}" (available: ${known})`)
+    }
+    return pack
+  }
+
+  /**
+   * the_pack_selected_by_default（the_smallest_one）
+   * @returns {string} pack_directory，empty_when_there_are_no_packs
+   */
+  getDefaultPackId() {
+    const [smallest] = [...this.packs].sort((a, b) => this.getArea(a) - this.getArea(b))
+    return smallest?.id || ''
+  }
+
+  /**
+   * the_next_smaller_pack_of_the_same_family（used_by_auto_fit）
+   * @param {string} id - pack_directory
+   * @returns {Object|null} pack
+   */
+  getSmallerPack(id) {
+    const pack = this.getPack(id)
+    if (!pack) return null
+    const smaller = this.packs
+      .filter(item => item.family === pack.family && this.getArea(item) < this.getArea(pack))
+      .sort((a, b) => this.getArea(b) - this.getArea(a))
+    return smaller[0] || null
+  }
+
+  /**
+   * find_the_pack_matching_an_imported_emoticon_collection
+   * @param {Array<string>} emotions - emotion_names
+   * @param {Object} size - {width, height}
+   * @returns {Object|null} pack
+   */
+  findPack(emotions, size) {
+    return this.packs.find(pack =>
+      pack.size.width === size?.width &&
+      pack.size.height === size?.height &&
+      pack.emotions.length === emotions.length &&
+      emotions.every(key => pack.emotions.includes(key))
+    ) || null
+  }
+
+  /**
+   * path_of_an_emoticon_image_relative_to_the_static_directory
+   * @param {string} id - pack_directory
+   * @param {string} emotion - emotion_name
+   * @returns {string} path
+   */
+  getImagePath(id, emotion) {
+    return `${id}/${emotion}.${PACK_IMAGE_EXTENSION}`
+  }
+
+  /**
+   * display_name_with_size（Twemoji 32×32）
+   * @param {Object} pack - pack
+   * @returns {string} label
+   */
+  getLabel(pack) {
+    return `${pack.name} ${pack.size.width}×${pack.size.height}`
+  }
+
+  /**
+   * description_in_the_given_language（pack.json may_give_a_string_or_a_map_by_locale）
+   * @param {Object} pack - pack
+   * @param {string} locale - interface_language
+   * @returns {string} description
+   */
+  getDescription(pack, locale) {
+    if (typeof pack.description === 'string') return pack.description
+    return pack.description[locale] || pack.description.en || ''
+  }
+
+  /**
+   * estimated_size_of_one_packed_png（bytes）
+   * @param {Object} pack - pack
+   * @returns {number} bytes
+   */
+  estimateFileSize(pack) {
+    return Math.round(this.getArea(pack) * PNG_BYTES_PER_PIXEL)
+  }
+
+  getArea(pack) {
+    return pack.size.width * pack.size.height
+  }
+}
+
+const emojiPackRegistry = new EmojiPackRegistry()
+
+export default emojiPackRegistry
+export { EmojiPackRegistry, PACK_INDEX_PATH }
@@ -0,0 +1,114 @@
+/**
+ * EmotionRegistry kind
+ * the_only_list_of_emotion_names（the_editor、the_builder_and_the_generate_dialog_all_read_it）
+ *
+ * - 21 built_in_emotions，preset_emoticon_packs_provide_an_image_for_each_of_them
+ * - custom_emoticon_packs_can_add_their_own_emotions（theme.emoji.custom.emotions），
+ *   for_example listening、speaking、error of_firmware_forks
+ * - emotion_names_are_written_to index.json of emoji_collection，packed_files_may_be_named_after_them，
+ *   so "<name>.anim" must_fit_in_the_32_byte_file_name_of_the_mmap_table
+ */
+
+const BUILTIN_EMOTIONS = [
+  { key: 'neutral', emoji: '😶' },
+  { key: 'happy', emoji: '🙂' },
+  { key: 'laughing', emoji: '😆' },
+  { key: 'funny', emoji: '😂' },
+  { key: 'sad', emoji: '😔' },
+  { key: 'angry', emoji: '😠' },
+  { key: 'crying', emoji: '😭' },
+  { key: 'loving', emoji: '😍' },
+  { key: 'embarrassed', emoji: '😳' },
+  { key: 'surprised', emoji: '😯' },
+  { key: 'shocked', emoji: '😱' },
+  { key: 'thinking', emoji: '🤔' },
+  { key: 'winking', emoji: '😉' },
+  { key: 'cool', emoji: '😎' },
+  { key: 'relaxed', emoji: '😌' },
+  { key: 'delicious', emoji: '🤤' },
+  { key: 'kissy', emoji: '😘' },
+  { key: 'confident', emoji: '😏' },
+  { key: 'sleepy', emoji: '😴' },
+  { key: 'silly', emoji: '😜' },
+  { key: 'confused', emoji: '🙄' }
+]
+
+const DEFAULT_EMOTION = 'neutral'
+const CUSTOM_EMOTION_EMOJI = '🏷️'
+const MAX_FILENAME_LENGTH = 32 // mmap_table name: char[32]
+const LONGEST_EMOJI_EXTENSION = '.anim'
+const MAX_EMOTION_KEY_LENGTH = MAX_FILENAME_LENGTH - LONGEST_EMOJI_EXTENSION.length
+const EMOTION_KEY_PATTERN = '^[a-z][a-z0-9_]*$'
+
+class EmotionRegistry {
+  /**
+   * get_the_names_of_the_built_in_emotions
+   * @returns {Array<string>} emotion_names
+   */
+  getBuiltinKeys() {
+    return BUILTIN_EMOTIONS.map(emotion => emotion.key)
+  }
+
+  /**
+   * whether_it_is_a_built_in_emotion
+   * @param {string} key - emotion_name
+   * @returns {boolean}
+   */
+  isBuiltin(key) {
+    return BUILTIN_EMOTIONS.some(emotion => emotion.key === key)
+  }
+
+  /**
+   * built_in_emotions_followed_by_custom_emotions
+   * @param {Array<Object>} customEmotions - [{key, emoji}]
+   * @param {Array<string>} extraKeys - names_in_use_that_are_not_registered（for_example_from_imported_packages）
+   * @returns {Array<Object>} [{key, emoji, builtin}]
+   */
+  getEmotions(customEmotions = [], extraKeys = []) {
+    const emotions = BUILTIN_EMOTIONS.map(emotion => ({ ...emotion, builtin: true }))
+    const known = new Set(emotions.map(emotion => emotion.key))
+
+    const custom = [...(customEmotions || []), ...extraKeys.map(key => ({ key }))]
+    for (const emotion of custom) {
+      if (!emotion?.key || known.has(emotion.key)) continue
+      known.add(emotion.key)
+      emotions.push({ key: emotion.key, emoji: emotion.emoji || CUSTOM_EMOTION_EMOJI, builtin: false })
+    }
+    return emotions
+  }
+
+  /**
+   * check_an_emotion_name
+   * @param {string} key - emotion_name
+   * @param {Array<string>} existingKeys - names_already_in_use（duplicate_check）
+   * @returns {string|null} error_code：required、pattern、tooLong、duplicate，null means_valid
+   */
+  validateKey(key, existingKeys = []) {
+    if (!key) return 'required'
+    if (!new RegExp(EMOTION_KEY_PATTERN).test(key)) return 'pattern'
+    if (new TextEncoder().encode(key).length > MAX_EMOTION_KEY_LENGTH) return 'tooLong'
+    if (existingKeys.includes(key)) return 'duplicate'
+    return null
+  }
+
+  /**
+   * english_description_of_an_error_code（used_in_build_errors，the_interface_uses_translations）
+   * @param {string} key - emotion_name
+   * @param {string} error - error_code
+   * @returns {string} description
+   */
+  describeError(key, error) {
+    switch (error) {
+      case 'required': return 'Emotion name is empty'
+      case 'pattern': return `Emotion name "${key}" must start with a-z and contain only a-z, 0-9 and _`
+      case 'tooLong': return `Emotion name "${key}" is longer than ${MAX_EMOTION_KEY_LENGTH} bytes (file names in assets.bin are limited to ${MAX_FILENAME_LENGTH} bytes)`
+      case 'duplicate': return `Emotion name "${key}" is already used`
+      default: return `Invalid emotion name "${key}"`
+    }
+  }
+}
+
+const emotionRegistry = new EmotionRegistry()
+
+export default emotionRegistry
+export { EmotionRegistry, BUILTIN_EMOTIONS, DEFAULT_EMOTION, MAX_EMOTION_KEY_LENGTH, EMOTION_KEY_PATTERN }
@@ -0,0 +1,327 @@
+/**
+ * GifDecoder kind
+ * pure_javascript GIF decoding，expand_every_frame_to_a_full_canvas RGBA image
+ *
+ * - supports_global/local_color_tables、interlacing、transparent_color_index
+ * - disposal：0/1 keep、2 restore_to_background（transparent）、3 restore_to_previous
+ * - delay_is_converted_to_milliseconds，delays_of_0_or_10ms_are_shown_as_100ms（same_as_browsers）
+ * - NETSCAPE2.0 loop_count：0 means_forever，gifs_without_it_play_once
+ */
+
+const GIF_MIN_DELAY = 20
+const GIF_DEFAULT_DELAY = 100
+const LZW_MAX_CODE_SIZE = 12
+
+class GifDecoder {
+  /**
+   * decode_all_frames_of_a_gif
+   * @param {ArrayBuffer|Uint8Array} buffer - gif_data
+   * @returns {Object} {width, height, loopCount, frames: [{width, height, data: RGBA, delay}]}
+   */
+  decode(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+    const header = String.fromCharCode(...bytes.subarray(0, 6))
+    if (header !== 'GIF87a' && header !== 'GIF89a') {
+      throw new Error('Not a GIF file')
+    }
+
+    const width = bytes[6] | (bytes[7] << 8)
+    const height = bytes[8] | (bytes[9] << 8)
+    const packed = bytes[10]
+    let pos = 13
+
+    let globalPalette = null
+    if (packed & 0x80) {
+      const size = 3 * (1 << ((packed & 0x07) + 1))
+      globalPalette = bytes.subarray(pos, pos + size)
+      pos += size
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4)
+    const frames = []
+    let loopCount = 1
+    let control = null
+
+    while (pos < bytes.length) {
+      const block = bytes[pos++]
+
+      if (block === 0x3B) break
+
+      if (block === 0x21) {
+        const label = bytes[pos++]
+        if (label === 0xF9) {
+          // graphic_control_extension
+          const flags = bytes[pos + 1]
+          control = {
+            disposal: (flags >> 2) & 0x07,
+            transparentIndex: flags & 0x01 ? bytes[pos + 4] : -1,
+            delay: (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10
+          }
+        } else if (label === 0xFF && this.readString(bytes, pos + 1, 11) === 'NETSCAPE2.0') {
+          const sub = pos + 1 + bytes[pos]
+          if (bytes[sub] >= 3 && bytes[sub + 1] === 1) {
+            loopCount = bytes[sub + 2] | (bytes[sub + 3] << 8)
+          }
+        }
+        pos = this.skipSubBlocks(bytes, pos)
+        continue
+      }
+
+      if (block !== 0x2C) {
+        throw new Error(`Invalid GIF block 0x${block.toString(16)}`)
+      }
+
+      // image_descriptor
+      const left = bytes[pos] | (bytes[pos + 1] << 8)
+      const top = bytes[pos + 2] | (bytes[pos + 3] << 8)
+      const frameWidth = bytes[pos + 4] | (bytes[pos + 5] << 8)
+      const frameHeight = bytes[pos + 6] | (bytes[pos + 7] << 8)
+      const flags = bytes[pos + 8]
+      pos += 9
+
+      let palette = globalPalette
+      if (flags & 0x80) {
+        const size = 3 * (1 << ((flags & 0x07) + 1))
+        palette = bytes.subarray(pos, pos + size)
+        pos += size
+      }
+      if (!palette) {
+        throw new Error('GIF frame has no color table')
+      }
+
+      const minCodeSize = bytes[pos++]
+      const end = this.skipSubBlocks(bytes, pos)
+      const indices = this.lzwDecode(this.joinSubBlocks(bytes, pos, end), minCodeSize, frameWidth * frameHeight)
+      pos = end
+
+      const { disposal = 0, transparentIndex = -1, delay = 0 } = control || {}
+      const previous = disposal === 3 ? canvas.slice() : null
+
+      this.drawFrame(canvas, width, height, {
+        left, top, width: frameWidth, height: frameHeight,
+        interlaced: (flags & 0x40) !== 0,
+        indices, palette, transparentIndex
+      })
+
+      frames.push({
+        width,
+        height,
+        data: canvas.slice(),
+        delay: delay < GIF_MIN_DELAY ? GIF_DEFAULT_DELAY : delay
+      })
+
+      if (disposal === 2) {
+        this.clearRect(canvas, width, height, left, top, frameWidth, frameHeight)
+      } else if (previous) {
+        canvas.set(previous)
+      }
+      control = null
+    }
+
+    if (frames.length === 0) {
+      throw new Error('GIF has no frames')
+    }
+
+    return { width, height, loopCount, frames }
+  }
+
+  /**
+   * count_the_frames_of_a_gif_without_decoding_the_pixels
+   * @param {ArrayBuffer|Uint8Array} buffer - gif_data
+   * @returns {number} frame_count
+   */
+  countFrames(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+    const header = String.fromCharCode(...bytes.subarray(0, 6))
+    if (header !== 'GIF87a' && header !== 'GIF89a') {
+      throw new Error('Not a GIF file')
+    }
+
+    const packed = bytes[10]
+    let pos = 13 + (packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0)
+    let count = 0
+
+    while (pos < bytes.length) {
+      const block = bytes[pos++]
+      if (block === 0x3B) break
+
+      if (block === 0x21) {
+        pos = this.skipSubBlocks(bytes, pos + 1)
+        continue
+      }
+      if (block !== 0x2C) {
+        throw new Error(`Invalid GIF block 0x${block.toString(16)}`)
+      }
+
+      const flags = bytes[pos + 8]
+      pos += 9 + (flags & 0x80 ? 3 * (1 << ((flags & 0x07) + 1)) : 0)
+      // minimum_code_size，then_the_image_data_sub_blocks
+      pos = this.skipSubBlocks(bytes, pos + 1)
+      count++
+    }
+
+    return count
+  }
+
+  /**
+   * draw_the_color_indices_of_a_frame_onto_the_canvas
+   */
+  drawFrame(canvas, width, height, frame) {
+    const rows = this.getRowOrder(frame.height, frame.interlaced)
+
+    for (let row = 0; row < frame.height; row++) {
+      const y = frame.top + rows[row]
+      if (y >= height) continue
+      for (let col = 0; col < frame.width; col++) {
+        const x = frame.left + col
+        if (x >= width) continue
+        const index = frame.indices[row * frame.width + col]
+        if (index === frame.transparentIndex || index * 3 >= frame.palette.length) continue
+        const o = (y * width + x) * 4
+        canvas[o] = frame.palette[index * 3]
+        canvas[o + 1] = frame.palette[index * 3 + 1]
+        canvas[o + 2] = frame.palette[index * 3 + 2]
+        canvas[o + 3] = 255
+      }
+    }
+  }
+
+  /**
+   * the_canvas_row_of_each_decoded_row（interlaced：every_8th_from_0、every_8th_from_4、every_4th_from_2、every_2nd_from_1）
+   */
+  getRowOrder(height, interlaced) {
+    const rows = new Array(height)
+    if (!interlaced) {
+      for (let i = 0; i < height; i++) rows[i] = i
+      return rows
+    }
+    let i = 0
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+      for (let y = start; y < height; y += step) rows[i++] = y
+    }
+    return rows
+  }
+
+  clearRect(canvas, width, height, left, top, rectWidth, rectHeight) {
+    for (let y = top; y < Math.min(top + rectHeight, height); y++) {
+      const start = (y * width + left) * 4
+      canvas.fill(0, start, start + Math.max(0, Math.min(rectWidth, width - left)) * 4)
+    }
+  }
+
+  /**
+   * GIF variant_of_lzw_decoding
+   * @param {Uint8Array} data - joined_sub_block_data
+   * @param {number} minCodeSize - lzw_minimum_code_size
+   * @param {number} pixelCount - number_of_pixels_in_the_frame
+   * @returns {Uint8Array} color_indices
+   */
+  lzwDecode(data, minCodeSize, pixelCount) {
+    const output = new Uint8Array(pixelCount)
+    const clearCode = 1 << minCodeSize
+    const endCode = clearCode + 1
+    const prefix = new Int16Array(1 << LZW_MAX_CODE_SIZE)
+    const suffix = new Uint8Array(1 << LZW_MAX_CODE_SIZE)
+    const stack = new Uint8Array((1 << LZW_MAX_CODE_SIZE) + 1)
+
+    for (let i = 0; i < clearCode; i++) {
+      prefix[i] = -1
+      suffix[i] = i
+    }
+
+    let codeSize = minCodeSize + 1
+    let nextCode = endCode + 1
+    let previous = -1
+    let first = 0
+    let bits = 0
+    let bitCount = 0
+    let read = 0
+    let written = 0
+
+    while (written < pixelCount) {
+      while (bitCount < codeSize) {
+        if (read >= data.length) return output
+        bits |= data[read++] << bitCount
+        bitCount += 8
+      }
+      const code = bits & ((1 << codeSize) - 1)
+      bits >>>= codeSize
+      bitCount -= codeSize
+
+      if (code === clearCode) {
+        codeSize = minCodeSize + 1
+        nextCode = endCode + 1
+        previous = -1
+        continue
+      }
+      if (code === endCode) break
+
+      if (previous === -1) {
+        output[written++] = suffix[code]
+        previous = code
+        first = suffix[code]
+        continue
+      }
+
+      // unknown_code（kwkwk）：previous_string_plus_its_first_character
+      let current = code
+      let top = 0
+      if (code >= nextCode) {
+        stack[top++] = first
+        current = previous
+      }
+      while (current >= clearCode) {
+        stack[top++] = suffix[current]
+        current = prefix[current]
+      }
+      first = suffix[current]
+      stack[top++] = first
+
+      while (top > 0 && written < pixelCount) {
+        output[written++] = stack[--top]
+      }
+
+      if (nextCode < (1 << LZW_MAX_CODE_SIZE)) {
+        prefix[nextCode] = previous
+        suffix[nextCode] = first
+        nextCode++
+        if (nextCode === (1 << codeSize) && codeSize < LZW_MAX_CODE_SIZE) {
+          codeSize++
+        }
+      }
+      previous = code
+    }
+
+    return output
+  }
+
+  // position_after_the_sub_blocks_starting_at_pos（including_the_terminator）
+  skipSubBlocks(bytes, pos) {
+    while (pos < bytes.length && bytes[pos] !== 0) {
+      pos += bytes[pos] + 1
+    }
+    return pos + 1
+  }
+
+  joinSubBlocks(bytes, start, end) {
+    const data = new Uint8Array(end - start)
+    let length = 0
+    let pos = start
+    while (pos < end && bytes[pos] !== 0) {
+      const size = bytes[pos]
+      data.set(bytes.subarray(pos + 1, pos + 1 + size), length)
+      length += size
+      pos += size + 1
+    }
+    return data.subarray(0, length)
+  }
+
+  readString(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length))
+  }
+}
+
+const gifDecoder = new GifDecoder()
+
+export default gifDecoder
+export { GifDecoder }
@@ -0,0 +1,199 @@
+/**
+ * IconFontRegistry kind
+ * the_list_of_bundled_icon_fonts（the_font_editor_and_the_builder_both_read_it）
+ *
+ * - static/icon_fonts.json lists_the_font_directories
+ * - each_font_is_described_by static/<font>/font.json：name、file、icons、license
+ * - icons_are_listed_with_their_code_point_in_the_font，target_is_the_code_point_in_the_converted_font（defaults_to_code）
+ * - icons_with_a_symbol_are_the LVGL LV_SYMBOL_* glyphs
+ */
+
+import { getPlatform } from './platform/index.js'
+
+const ICON_FONT_INDEX_PATH = 'icon_fonts.json'
+const ICON_FONT_MANIFEST_NAME = 'font.json'
+// the_private_use_area_of_the_basic_multilingual_plane，where_icons_are_placed
+const PUA_START = 0xE000
+const PUA_END = 0xF8FF
+
+class IconFontRegistry {
+  constructor() {
+    this.fonts = []
+    this.loadPromise = null
+    this.fontData = new Map() // id -> ArrayBuffer
+  }
+
+  /**
+   * read_the_font_index_and_all_font_manifests（only_once）
+   * invalid_fonts_are_skipped_with_a_warning
+   * @returns {Promise<Array<Object>>} fonts
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadFonts().catch(error => {
+        this.loadPromise = null
+        throw error
+      })
+    }
+    return this.loadPromise
+  }
+
+  async loadFonts() {
+    const index = JSON.parse(await getPlatform().loadStaticText(ICON_FONT_INDEX_PATH))
+    const fonts = []
+    for (const id of index.fonts || []) {
+      try {
+        const manifest = JSON.parse(await getPlatform().loadStaticText(`${id}/${ICON_FONT_MANIFEST_NAME}`))
+        fonts.push(this.normalizeFont(id, manifest))
+      } catch (error) {
+        console.warn(`Skipping icon font ${id}: ${error.message}`)
+      }
+    }
+    this.fonts = fonts
+    return fonts
+  }
+
+  /**
+   * check_a_font_manifest_and_convert_the_code_points_to_numbers
+   * @param {string} id - font_directory
+   * @param {Object} manifest - font.json content
+   * @returns {Object} font {id, name, file, icons: [{name, code, target, symbol}], description, license}
+   */
+  normalizeFont(id, manifest) {
+    if (!manifest.file) {
+      throw new Error('file is required')
+    }
+    if (!Array.isArray(manifest.icons) || manifest.icons.length === 0) {
+      throw new Error('icons must be a non-empty list')
+    }
+    if (!manifest.license?.name) {
+      throw new Error('license.name is required')
+    }
+
+    const icons = manifest.icons.map(icon => {
+      const code = this.parseCode(icon.code)
+      const target = icon.target === undefined ? code : this.parseCode(icon.target)
+      if (code === null || target === null) {
+        throw new Error(`invalid code point for icon "${icon.name}"`)
+      }
+      return { name: icon.name || '', code, target, symbol: icon.symbol || '' }
+    })
+
+    return {
+      id,
+      name: manifest.name || id,
+      file: manifest.file,
+      icons,
+      description: manifest.description || '',
+      license: { ...manifest.license }
+    }
+  }
+
+  parseCode(value) {
+    const code = typeof value === 'number' ? value : parseInt(value, /^0x/i.test(String(value)) ? 16 : 10)
+    return Number.isInteger(code) && code > 0 && code <= 0x10FFFF ? code : null
+  }
+
+  /**
+   * get_the_loaded_fonts
+   * @returns {Array<Object>} fonts
+   */
+  getFonts() {
+    return this.fonts
+  }
+
+  /**
+   * get_a_loaded_font
+   * @param {string} id - font_directory
+   * @returns {Object|null} font
+   */
+  getFont(id) {
+    return this.fonts.find(font => font.id === id) || null
+  }
+
+  /**
+   * get_a_loaded_font，unknown_fonts_throw
+   * @param {string} id - font_directory
+   * @returns {Object} font
+   */
+  requireFont(id) {
+    const font = this.getFont(id)
+    if (!font) {
+      const known = this.fonts.map(item => item.id).join(', ') || 'none loaded'
+      throw new Error(`Unknown icon font "${id}" (available: ${known})`)
+    }
+    return font
+  }
+
+  /**
+   * path_of_the_font_file_relative_to_the_static_directory
+   * @param {string} id - font_directory
+   * @returns {string} path
+   */
+  getFontPath(id) {
+    return `${id}/${this.requireFont(id).file}`
+  }
+
+  /**
+   * read_the_font_file（cached）
+   * @param {string} id - font_directory
+   * @returns {Promise<ArrayBuffer>} font_data
+   */
+  async loadFontData(id) {
+    if (!this.fontData.has(id)) {
+      this.fontData.set(id, await getPlatform().loadStatic(this.getFontPath(id)))
+    }
+    return this.fontData.get(id)
+  }
+
+  /**
+   * the LVGL symbols_of_all_loaded_fonts，offered_as_targets_for_icons_of_uploaded_fonts
+   * @returns {Array<Object>} [{symbol, target}]
+   */
+  getSymbols() {
+    const symbols = new Map()
+    for (const font of this.fonts) {
+      for (const icon of font.icons) {
+        if (icon.symbol && !symbols.has(icon.symbol)) symbols.set(icon.symbol, icon.target)
+      }
+    }
+    return [...symbols].map(([symbol, target]) => ({ symbol, target }))
+  }
+
+  /**
+   * description_in_the_given_language（font.json may_give_a_string_or_a_map_by_locale）
+   * @param {Object} font - font
+   * @param {string} locale - interface_language
+   * @returns {string} description
+   */
+  getDescription(font, locale) {
+    if (typeof font.description === 'string') return font.description
+    return font.description[locale] || font.description.en || ''
+  }
+
+  /**
+   * whether_a_code_point_is_in_the_private_use_area
+   * @param {number} code - code_point
+   * @returns {boolean} in_the_private_use_area
+   */
+  isPrivateUse(code) {
+    return code >= PUA_START && code <= PUA_END
+  }
+
+  /**
+   * the_first_private_use_code_point_that_is_not_taken
+   * @param {Set<number>} taken - code_points_in_use
+   * @returns {number|null} code_point
+   */
+  nextPrivateUse(taken) {
+    for (let code = PUA_START; code <= PUA_END; code++) {
+      if (!taken.has(code)) return code
+    }
+    return null
+  }
+}
+
+const iconFontRegistry = new IconFontRegistry()
+
+export default iconFontRegistry
+export { IconFontRegistry, ICON_FONT_INDEX_PATH, PUA_START, PUA_END }
@@ -0,0 +1,331 @@
+/**
+ * ImageCompressor kind
+ * compression_methods_supported_by_the_lvgl_v9_image_decoder（lv_image_compress_t）
+ *
+ * - RLE：same_as lv_rle_decompress，works_on_blocks_of_blkSize_bytes（one_pixel）
+ *   control_byte < 0x80：the_next_block_is_repeated_control_byte_times
+ *   control_byte >= 0x80：(control_byte & 0x7F) blocks_are_copied_as_is
+ * - LZ4：lz4 block format（without_frame_header），same_as LZ4_decompress_safe
+ *
+ * the_output_of_both_methods_is_deterministic，the_same_input_always_gives_the_same_bytes
+ */
+
+const COMPRESS_METHODS = {
+  none: 0,
+  rle: 1,
+  lz4: 2
+}
+
+const RLE_MAX_COUNT = 127
+const RLE_THRESHOLD = 16
+
+const LZ4_MIN_MATCH = 4
+const LZ4_MF_LIMIT = 12      // the_last_match_must_start_at_least_12_bytes_before_the_end
+const LZ4_LAST_LITERALS = 5  // the_last_5_bytes_are_always_literals
+const LZ4_MAX_OFFSET = 65535
+const LZ4_HASH_LOG = 16
+
+class ImageCompressor {
+  /**
+   * get_the_list_of_supported_compression_methods
+   * @returns {Array<string>} method_names
+   */
+  getMethods() {
+    return Object.keys(COMPRESS_METHODS)
+  }
+
+  /**
+   * get_the_lv_image_compress_t_value_of_a_method
+   * @param {string} method - none、rle or lz4
+   * @returns {number} method_id
+   */
+  getMethodId(method) {
+    if (!(method in COMPRESS_METHODS)) {
+      throw new Error(`Unsupported compression method: ${method}`)
+    }
+    return COMPRESS_METHODS[method]
+  }
+
+  /**
+   * find_the_method_name_by_id
+   * @param {number} id - lv_image_compress_t
+   * @returns {string|null} method_name
+   */
+  getMethodById(id) {
+    return Object.keys(COMPRESS_METHODS).find(name => COMPRESS_METHODS[name] === id) || null
+  }
+
+  /**
+   * compressed_data
+   * @param {Uint8Array} data - original_data
+   * @param {string} method - rle or lz4
+   * @param {number} blkSize - RLE block_size（bytes_per_pixel）
+   * @returns {Uint8Array} compressed_data
+   */
+  compress(data, method, blkSize = 1) {
+    switch (method) {
+      case 'rle': return this.rleCompress(data, blkSize)
+      case 'lz4': return this.lz4Compress(data)
+      default: throw new Error(`Unsupported compression method: ${method}`)
+    }
+  }
+
+  /**
+   * decompress_data
+   * @param {Uint8Array} data - compressed_data
+   * @param {string} method - rle or lz4
+   * @param {number} outputSize - decompressed_size
+   * @param {number} blkSize - RLE block_size
+   * @returns {Uint8Array} original_data
+   */
+  decompress(data, method, outputSize, blkSize = 1) {
+    switch (method) {
+      case 'rle': return this.rleDecompress(data, outputSize, blkSize)
+      case 'lz4': return this.lz4Decompress(data, outputSize)
+      default: throw new Error(`Unsupported compression method: ${method}`)
+    }
+  }
+
+  /**
+   * RLE compression（the_same_algorithm_as_lvgl's LVGLImage.py）
+   * @param {Uint8Array} data - original_data，length_must_be_a_multiple_of_blkSize
+   * @param {number} blkSize - block_size
+   * @returns {Uint8Array} compressed_data
+   */
+  rleCompress(data, blkSize) {
+    if (data.length % blkSize !== 0) {
+      throw new Error('RLE input must be a multiple of the block size')
+    }
+
+    const output = new Uint8Array(data.length + Math.ceil(data.length / blkSize / RLE_MAX_COUNT) + 1)
+    let length = 0
+    let index = 0
+
+    while (index < data.length) {
+      const repeat = this.rleRepeatCount(data, index, blkSize)
+      if (repeat >= RLE_THRESHOLD) {
+        output[length++] = repeat
+        output.set(data.subarray(index, index + blkSize), length)
+        length += blkSize
+        index += repeat * blkSize
+      } else {
+        const count = this.rleLiteralCount(data, index, blkSize)
+        output[length++] = count | 0x80
+        output.set(data.subarray(index, index + count * blkSize), length)
+        length += count * blkSize
+        index += count * blkSize
+      }
+    }
+
+    return output.slice(0, length)
+  }
+
+  // number_of_times_the_block_at_index_is_repeated（at_most_127）
+  rleRepeatCount(data, index, blkSize) {
+    let count = 1
+    let next = index + blkSize
+    while (count < RLE_MAX_COUNT && next < data.length && this.blockEquals(data, index, next, blkSize)) {
+      count++
+      next += blkSize
+    }
+    return count
+  }
+
+  // number_of_blocks_to_copy_as_is，stops_before_a_run_longer_than_the_threshold
+  rleLiteralCount(data, index, blkSize) {
+    let count = 0
+    let repeat = 0
+    let previous = index
+    let position = index
+
+    while (position < data.length) {
+      if (position !== index && this.blockEquals(data, previous, position, blkSize)) {
+        repeat++
+        if (repeat > RLE_THRESHOLD) break
+      } else {
+        count += 1 + repeat
+        repeat = 0
+        previous = position
+        if (count >= RLE_MAX_COUNT) return RLE_MAX_COUNT
+      }
+      position += blkSize
+    }
+
+    if (position >= data.length) count += repeat
+    return Math.min(Math.max(count, 1), RLE_MAX_COUNT)
+  }
+
+  blockEquals(data, a, b, blkSize) {
+    for (let i = 0; i < blkSize; i++) {
+      if (data[a + i] !== data[b + i]) return false
+    }
+    return true
+  }
+
+  /**
+   * RLE decompress（same_as lv_rle_decompress）
+   * @param {Uint8Array} data - compressed_data
+   * @param {number} outputSize - decompressed_size
+   * @param {number} blkSize - block_size
+   * @returns {Uint8Array} original_data
+   */
+  rleDecompress(data, outputSize, blkSize) {
+    const output = new Uint8Array(outputSize)
+    let read = 0
+    let written = 0
+
+    while (read < data.length) {
+      const control = data[read++]
+      const count = control & 0x7F
+      const bytes = count * blkSize
+      if (written + bytes > outputSize) {
+        throw new Error('RLE data exceeds the decompressed size')
+      }
+
+      if (control & 0x80) {
+        if (read + bytes > data.length) throw new Error('RLE data is truncated')
+        output.set(data.subarray(read, read + bytes), written)
+        read += bytes
+      } else {
+        if (read + blkSize > data.length) throw new Error('RLE data is truncated')
+        const block = data.subarray(read, read + blkSize)
+        for (let i = 0; i < count; i++) {
+          output.set(block, written + i * blkSize)
+        }
+        read += blkSize
+      }
+      written += bytes
+    }
+
+    if (written !== outputSize) {
+      throw new Error('RLE data is shorter than the decompressed size')
+    }
+    return output
+  }
+
+  /**
+   * LZ4 block compression（greedy_matching_with_a_hash_table）
+   * @param {Uint8Array} data - original_data
+   * @returns {Uint8Array} compressed_data
+   */
+  lz4Compress(data) {
+    const length = data.length
+    const output = new Uint8Array(length + Math.ceil(length / 255) + 16)
+    const table = new Int32Array(1 << LZ4_HASH_LOG).fill(-1)
+    let outLength = 0
+    let anchor = 0
+    let index = 0
+
+    const read32 = (i) => data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24)
+    const hash = (value) => Math.imul(value, 2654435761) >>> (32 - LZ4_HASH_LOG)
+
+    const writeLength = (value) => {
+      while (value >= 255) {
+        output[outLength++] = 255
+        value -= 255
+      }
+      output[outLength++] = value
+    }
+
+    const writeSequence = (literalEnd, offset, matchLength) => {
+      const literalLength = literalEnd - anchor
+      const tokenPos = outLength++
+      let token = Math.min(literalLength, 15) << 4
+      if (literalLength >= 15) writeLength(literalLength - 15)
+      output.set(data.subarray(anchor, literalEnd), outLength)
+      outLength += literalLength
+
+      if (matchLength > 0) {
+        output[outLength++] = offset & 0xFF
+        output[outLength++] = offset >> 8
+        const extra = matchLength - LZ4_MIN_MATCH
+        token |= Math.min(extra, 15)
+        if (extra >= 15) writeLength(extra - 15)
+      }
+      output[tokenPos] = token
+    }
+
+    const matchLimit = length - LZ4_LAST_LITERALS
+    while (index + LZ4_MF_LIMIT <= length) {
+      const value = read32(index)
+      const h = hash(value)
+      const ref = table[h]
+      table[h] = index
+
+      if (ref < 0 || index - ref > LZ4_MAX_OFFSET || read32(ref) !== value) {
+        index++
+        continue
+      }
+
+      let matchLength = LZ4_MIN_MATCH
+      while (index + matchLength < matchLimit && data[ref + matchLength] === data[index + matchLength]) {
+        matchLength++
+      }
+
+      writeSequence(index, index - ref, matchLength)
+      index += matchLength
+      anchor = index
+    }
+
+    // last_literals
+    writeSequence(length, 0, 0)
+    return output.slice(0, outLength)
+  }
+
+  /**
+   * LZ4 block decompress
+   * @param {Uint8Array} data - compressed_data
+   * @param {number} outputSize - decompressed_size
+   * @returns {Uint8Array} original_data
+   */
+  lz4Decompress(data, outputSize) {
+    const output = new Uint8Array(outputSize)
+    let read = 0
+    let written = 0
+
+    const readLength = (value) => {
+      if (value !== 15) return value
+      let byte
+      do {
+        if (read >= data.length) throw new Error('LZ4 data is truncated')
+        byte = data[read++]
+        value += byte
+      } while (byte === 255)
+      return value
+    }
+
+    while (read < data.length) {
+      const token = data[read++]
+      const literalLength = readLength(token >> 4)
+      if (read + literalLength > data.length || written + literalLength > outputSize) {
+        throw new Error('LZ4 data is invalid')
+      }
+      output.set(data.subarray(read, read + literalLength), written)
+      read += literalLength
+      written += literalLength
+      if (read >= data.length) break
+
+      const offset = data[read] | (data[read + 1] << 8)
+      read += 2
+      const matchLength = readLength(token & 0x0F) + LZ4_MIN_MATCH
+      if (offset === 0 || offset > written || written + matchLength > outputSize) {
+        throw new Error('LZ4 data is invalid')
+      }
+      // matches_may_overlap，copy_byte_by_byte
+      for (let i = 0; i < matchLength; i++) {
+        output[written] = output[written - offset]
+        written++
+      }
+    }
+
+    if (written !== outputSize) {
+      throw new Error('LZ4 data is shorter than the decompressed size')
+    }
+    return output
+  }
+}
+
+const imageCompressor = new ImageCompressor()
+
+export default imageCompressor
+export { ImageCompressor, COMPRESS_METHODS }
@@ -0,0 +1,479 @@
+/**
+ * ImageProcessor kind
+ * pure_javascript_image_processing，the_browser_and_the_command_line_tool_share_the_same_implementation，
+ * make_sure_that_the_generated assets.bin is_byte_for_byte_identical
+ *
+ * main_functions：
+ * - identify_image_formats_and_read_dimensions_from_the_file_header
+ * - decode PNG/JPEG to RGBA（other_formats_are_handed_over_to_the_platform_implementation）
+ * - scale（area_average_when_shrinking，bilinear_when_enlarging）
+ * - contain / cover / stretch / manual（pan_and_zoom）fit
+ * - encode PNG
+ */
+
+import { decode as decodePngData, encode as encodePngData } from 'fast-png'
+import jpeg from 'jpeg-js'
+import { getPlatform } from './platform/index.js'
+
+const FIT_MODES = ['cover', 'contain', 'stretch', 'manual']
+const MAX_FIT_ZOOM = 4
+
+class ImageProcessor {
+  /**
+   * identify_image_format_based_on_file_header
+   * @param {ArrayBuffer|Uint8Array} buffer - image_data
+   * @returns {string|null} png、jpeg、gif、bmp、webp or null
+   */
+  detectFormat(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+    if (bytes.length < 12) return null
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'png'
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg'
+    if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38) return 'gif'
+    if (bytes[0] === 0x42 && bytes[1] === 0x4D) return 'bmp'
+    if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46 &&
+        bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'webp'
+
+    return null
+  }
+
+  /**
+   * read_image_dimensions_from_the_file_header（no_decoding_required）
+   * @param {ArrayBuffer|Uint8Array} buffer - image_data
+   * @returns {Object|null} {width, height}
+   */
+  getImageSize(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+    try {
+      switch (this.detectFormat(bytes)) {
+        case 'png':
+          return { width: view.getUint32(16, false), height: view.getUint32(20, false) }
+        case 'gif':
+          return { width: view.getUint16(6, true), height: view.getUint16(8, true) }
+        case 'bmp':
+          return { width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) }
+        case 'jpeg':
+          return this.getJpegSize(bytes, view)
+        case 'webp':
+          return this.getWebpSize(bytes, view)
+        default:
+          return null
+      }
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * find_the_size_in_the_jpeg_sof_segment
+   */
+  getJpegSize(bytes, view) {
+    let offset = 2
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xFF) {
+        offset++
+        continue
+      }
+      const marker = bytes[offset + 1]
+      // SOF0-SOF15，except DHT(C4)、JPG(C8)、DAC(CC)
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return { width: view.getUint16(offset + 7, false), height: view.getUint16(offset + 5, false) }
+      }
+      offset += 2 + view.getUint16(offset + 2, false)
+    }
+    return null
+  }
+
+  /**
+   * read_the_size_of_webp（VP8、VP8L、VP8X）
+   */
+  getWebpSize(bytes, view) {
+    const chunk = String.fromCharCode(bytes[12], bytes[13], bytes[14], bytes[15])
+    if (chunk === 'VP8X') {
+      const width = 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16))
+      const height = 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16))
+      return { width, height }
+    }
+    if (chunk === 'VP8 ') {
+      return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF }
+    }
+    if (chunk === 'VP8L') {
+      const bits = view.getUint32(21, true)
+      return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 }
+    }
+    return null
+  }
+
+  /**
+   * decode_image_to RGBA
+   * @param {ArrayBuffer|Uint8Array} buffer - image_data
+   * @returns {Promise<Object>} {width, height, data: Uint8ClampedArray}
+   */
+  async decode(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+
+    switch (this.detectFormat(bytes)) {
+      case 'png':
+        return this.normalizePng(decodePngData(bytes))
+      case 'jpeg': {
+        const decoded = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 })
+        return {
+          width: decoded.width,
+          height: decoded.height,
+          data: new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, decoded.data.byteLength)
+        }
+      }
+      default: {
+        // other_formats_are_decoded_by_the_platform（the_browser_uses canvas）
+        const copy = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+        return await getPlatform().decodeImage(copy)
+      }
+    }
+  }
+
+  /**
+   * convert_the_fast-png_decoding_result_to_8_bit RGBA
+   * @param {Object} png - fast-png decoding_result
+   * @returns {Object} {width, height, data}
+   */
+  normalizePng(png) {
+    const { width, height, depth, channels, data, palette, transparency } = png
+    const rgba = new Uint8ClampedArray(width * height * 4)
+    const maxValue = depth === 16 ? 0xFFFF : (1 << depth) - 1
+    const rowLength = depth < 8 ? Math.ceil((width * channels * depth) / 8) : width * channels
+
+    // read_the_original_sample_value（samples_below_8_bits_are_packed_in_bytes）
+    const readSample = (y, i) => {
+      if (depth >= 8) return data[y * rowLength + i]
+      const bitOffset = i * depth
+      const byte = data[y * rowLength + (bitOffset >> 3)]
+      return (byte >> (8 - depth - (bitOffset & 7))) & maxValue
+    }
+    const to8Bit = (value) => {
+      if (depth === 8) return value
+      if (depth === 16) return value >> 8
+      return Math.round((value * 255) / maxValue)
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const base = x * channels
+        const o = (y * width + x) * 4
+
+        if (palette) {
+          const color = palette[readSample(y, x)] || [0, 0, 0]
+          rgba[o] = color[0]
+          rgba[o + 1] = color[1]
+          rgba[o + 2] = color[2]
+          rgba[o + 3] = color.length > 3 ? color[3] : 255
+        } else if (channels <= 2) {
+          const gray = readSample(y, base)
+          const value = to8Bit(gray)
+          rgba[o] = value
+          rgba[o + 1] = value
+          rgba[o + 2] = value
+          if (channels === 2) {
+            rgba[o + 3] = to8Bit(readSample(y, base + 1))
+          } else {
+            rgba[o + 3] = transparency?.length === 1 && gray === transparency[0] ? 0 : 255
+          }
+        } else {
+          const r = readSample(y, base)
+          const g = readSample(y, base + 1)
+          const b = readSample(y, base + 2)
+          rgba[o] = to8Bit(r)
+          rgba[o + 1] = to8Bit(g)
+          rgba[o + 2] = to8Bit(b)
+          if (channels === 4) {
+            rgba[o + 3] = to8Bit(readSample(y, base + 3))
+          } else {
+            const isKeyColor = transparency?.length === 3 &&
+              r === transparency[0] && g === transparency[1] && b === transparency[2]
+            rgba[o + 3] = isKeyColor ? 0 : 255
+          }
+        }
+      }
+    }
+
+    return { width, height, data: rgba }
+  }
+
+  /**
+   * calculate_the_sampling_weights_for_one_axis
+   * @param {number} srcLength - source_length
+   * @param {number} dstLength - target_length
+   * @returns {Array} the_source_pixels_and_weights_for_each_target_pixel
+   */
+  computeWeights(srcLength, dstLength) {
+    const scale = srcLength / dstLength
+    const result = []
+
+    for (let d = 0; d < dstLength; d++) {
+      const taps = []
+
+      if (scale > 1) {
+        // shrink：area_average
+        const start = d * scale
+        const end = start + scale
+        for (let s = Math.floor(start); s < Math.min(Math.ceil(end), srcLength); s++) {
+          const weight = Math.min(end, s + 1) - Math.max(start, s)
+          if (weight > 0) taps.push([s, weight])
+        }
+      } else {
+        // enlarge：bilinear
+        const center = (d + 0.5) * scale - 0.5
+        const s0 = Math.floor(center)
+        const t = center - s0
+        const a = Math.min(Math.max(s0, 0), srcLength - 1)
+        const b = Math.min(Math.max(s0 + 1, 0), srcLength - 1)
+        taps.push([a, 1 - t], [b, t])
+      }
+
+      const total = taps.reduce((sum, tap) => sum + tap[1], 0)
+      result.push(taps.map(([s, w]) => [s, w / total]))
+    }
+
+    return result
+  }
+
+  /**
+   * scale_image（premultiplied_alpha，avoid_dark_edges_on_transparent_pixels）
+   * @param {Object} image - {width, height, data}
+   * @param {number} width - target_width
+   * @param {number} height - target_height
+   * @returns {Object} scaled_image
+   */
+  resize(image, width, height) {
+    if (image.width === width && image.height === height) {
+      return { width, height, data: new Uint8ClampedArray(image.data) }
+    }
+
+    const src = image.data
+    const xWeights = this.computeWeights(image.width, width)
+    const yWeights = this.computeWeights(image.height, height)
+
+    // horizontal_pass
+    const temp = new Float64Array(width * image.height * 4)
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0, g = 0, b = 0, a = 0
+        for (const [sx, w] of xWeights[x]) {
+          const i = (y * image.width + sx) * 4
+          const alpha = src[i + 3] * w
+          r += src[i] * alpha
+          g += src[i + 1] * alpha
+          b += src[i + 2] * alpha
+          a += alpha
+        }
+        const o = (y * width + x) * 4
+        temp[o] = r
+        temp[o + 1] = g
+        temp[o + 2] = b
+        temp[o + 3] = a
+      }
+    }
+
+    // vertical_pass
+    const data = new Uint8ClampedArray(width * height * 4)
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0, g = 0, b = 0, a = 0
+        for (const [sy, w] of yWeights[y]) {
+          const i = (sy * width + x) * 4
+          r += temp[i] * w
+          g += temp[i + 1] * w
+          b += temp[i + 2] * w
+          a += temp[i + 3] * w
+        }
+        const o = (y * width + x) * 4
+        if (a > 0) {
+          data[o] = Math.round(r / a)
+          data[o + 1] = Math.round(g / a)
+          data[o + 2] = Math.round(b / a)
+        }
+        data[o + 3] = Math.round(a)
+      }
+    }
+
+    return { width, height, data }
+  }
+
+  /**
+   * fit_the_image_to_the_target_size
+   * - contain：the_whole_image_is_visible，the_rest_is_filled_with_background
+   * - cover：fill_the_target，center_crop
+   * - stretch：scale_to_the_target_size_ignoring_proportions
+   * - manual：a_crop_rectangle_with_the_target_aspect_ratio，
+   *   zoom 1 is_the_largest_rectangle（same_as_cover），centerX/centerY is_its_center_in_the_image（0..1）
+   * @param {Object} image - {width, height, data}
+   * @param {number} width - target_width
+   * @param {number} height - target_height
+   * @param {Object} options - {mode, background: [r, g, b, a], zoom, centerX, centerY}
+   * @returns {Object} fitted_image
+   */
+  fit(image, width, height, options = {}) {
+    const { mode = 'contain', background = [0, 0, 0, 0] } = options
+
+    if (mode === 'stretch') {
+      return this.resize(image, width, height)
+    }
+
+    const crop = mode === 'cover' || mode === 'manual'
+    let scale = crop
+      ? Math.max(width / image.width, height / image.height)
+      : Math.min(width / image.width, height / image.height)
+    if (mode === 'manual') {
+      scale *= this.clamp(options.zoom ?? 1, 1, MAX_FIT_ZOOM)
+    }
+
+    let drawWidth = Math.max(1, Math.round(image.width * scale))
+    let drawHeight = Math.max(1, Math.round(image.height * scale))
+    if (crop) {
+      drawWidth = Math.max(drawWidth, width)
+      drawHeight = Math.max(drawHeight, height)
+    }
+
+    const scaled = this.resize(image, drawWidth, drawHeight)
+    let offsetX = Math.floor((width - drawWidth) / 2)
+    let offsetY = Math.floor((height - drawHeight) / 2)
+    if (mode === 'manual') {
+      // keep_the_crop_rectangle_inside_the_image
+      const centerX = this.clamp(options.centerX ?? 0.5, 0, 1)
+      const centerY = this.clamp(options.centerY ?? 0.5, 0, 1)
+      offsetX = this.clamp(Math.floor(width / 2 - centerX * drawWidth), width - drawWidth, 0)
+      offsetY = this.clamp(Math.floor(height / 2 - centerY * drawHeight), height - drawHeight, 0)
+    }
+
+    return this.composite(scaled, width, height, offsetX, offsetY, background)
+  }
+
+  /**
+   * convert_a_stored_fit_configuration_to_fit_options
+   * @param {Object} fit - {mode, fillColor, zoom, centerX, centerY}，empty_means cover
+   * @param {string} defaultFill - fill_color_used_when_fillColor_is_not_set（#rrggbb）
+   * @returns {Object} options_for_fit
+   */
+  createFitOptions(fit, defaultFill = '#000000') {
+    const mode = FIT_MODES.includes(fit?.mode) ? fit.mode : 'cover'
+    const options = { mode }
+    if (mode === 'contain') {
+      options.background = this.parseHexColor(fit.fillColor || defaultFill)
+    }
+    if (mode === 'manual') {
+      options.zoom = fit.zoom ?? 1
+      options.centerX = fit.centerX ?? 0.5
+      options.centerY = fit.centerY ?? 0.5
+    }
+    return options
+  }
+
+  /**
+   * text_description_of_fit_options，used_in_the_build_manifest
+   * @param {Object} options - options_for_fit
+   * @returns {string} description
+   */
+  describeFit(options) {
+    switch (options.mode) {
+      case 'contain':
+        return `contain, fill rgb(${options.background.slice(0, 3).join(',')})`
+      case 'manual':
+        return `manual, zoom ${options.zoom}, center ${options.centerX},${options.centerY}`
+      default:
+        return options.mode
+    }
+  }
+
+  /**
+   * parse #rrggbb color
+   * @param {string} color - color_string
+   * @returns {Array} [r, g, b, 255]
+   */
+  parseHexColor(color) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(color || '')
+    if (!match) return [0, 0, 0, 255]
+    const value = parseInt(match[1], 16)
+    return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF, 255]
+  }
+
+  clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value))
+  }
+
+  /**
+   * draw_the_image_at_the_specified_position_on_a_background_of_the_given_size
+   * @param {Object} image - {width, height, data}
+   * @param {number} width - canvas_width
+   * @param {number} height - canvas_height
+   * @param {number} offsetX - horizontal_offset（can_be_negative）
+   * @param {number} offsetY - vertical_offset（can_be_negative）
+   * @param {Array} background - background_color [r, g, b, a]
+   * @returns {Object} composited_image
+   */
+  composite(image, width, height, offsetX, offsetY, background = [0, 0, 0, 0]) {
+    const data = new Uint8ClampedArray(width * height * 4)
+    const [bgR, bgG, bgB, bgA] = background
+
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = bgR
+      data[i + 1] = bgG
+      data[i + 2] = bgB
+      data[i + 3] = bgA
+    }
+
+    const startX = Math.max(0, offsetX)
+    const startY = Math.max(0, offsetY)
+    const endX = Math.min(width, offsetX + image.width)
+    const endY = Math.min(height, offsetY + image.height)
+
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
+        const s = ((y - offsetY) * image.width + (x - offsetX)) * 4
+        const o = (y * width + x) * 4
+        const srcA = image.data[s + 3]
+
+        if (srcA === 255 || bgA === 0) {
+          data[o] = image.data[s]
+          data[o + 1] = image.data[s + 1]
+          data[o + 2] = image.data[s + 2]
+          data[o + 3] = srcA
+          continue
+        }
+
+        // source-over composition
+        const sa = srcA / 255
+        const ba = (bgA / 255) * (1 - sa)
+        const outA = sa + ba
+        data[o] = Math.round((image.data[s] * sa + bgR * ba) / outA)
+        data[o + 1] = Math.round((image.data[s + 1] * sa + bgG * ba) / outA)
+        data[o + 2] = Math.round((image.data[s + 2] * sa + bgB * ba) / outA)
+        data[o + 3] = Math.round(outA * 255)
+      }
+    }
+
+    return { width, height, data }
+  }
+
+  /**
+   * encode_image_as PNG
+   * @param {Object} image - {width, height, data}
+   * @returns {ArrayBuffer} PNG data
+   */
+  encodePng(image) {
+    const encoded = encodePngData({
+      width: image.width,
+      height: image.height,
+      data: new Uint8Array(image.data.buffer, image.data.byteOffset, image.data.byteLength),
+      depth: 8,
+      channels: 4
+    })
+    return encoded.buffer.slice(encoded.byteOffset, encoded.byteOffset + encoded.byteLength)
+  }
+}
+
+const imageProcessor = new ImageProcessor()
+
+export default imageProcessor
+export { ImageProcessor, FIT_MODES, MAX_FIT_ZOOM }
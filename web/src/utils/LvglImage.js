@@ -0,0 +1,580 @@
+/**
+ * LvglImage kind
+ * conversion_between RGBA pixels_and_lvgl_v9 raw_images（lv_image_dsc_t）
+ *
+ * file_layout（28 bytes + data）：
+ * - lv_image_header_t (12 bytes)：magic(8) cf(8) flags(16)、w(16) h(16)、stride(16) reserved_2(16)
+ * - data_size (4 bytes)
+ * - data offset (4 bytes)，relative_to_the_beginning_of_the_file
+ * - reserved (4 bytes) + reserved_2 (4 bytes)
+ *
+ * supported_color_formats：RGB565、RGB565_SWAPPED、RGB565A8、RGB888、ARGB8888、L8、I1
+ * supported_dithering：none、bayer4、bayer8（ordered）、floyd-steinberg（error_diffusion）
+ * supported_compression：none、rle、lz4（header flags LV_IMAGE_FLAGS_COMPRESSED，
+ * the_data_starts_with lv_image_compressed_t：method(32) compressed_size(32) decompressed_size(32)）
+ */
+
+import imageCompressor from './ImageCompressor.js'
+
+const LV_IMAGE_HEADER_MAGIC = 0x19
+const LV_IMAGE_DSC_SIZE = 28
+const LV_IMAGE_FLAGS_COMPRESSED = 0x0008
+const LV_IMAGE_COMPRESSED_HEADER_SIZE = 12
+const DEFAULT_COMPRESS = 'none'
+
+// cf values_are_the_same_as lv_color_format_t（lvgl v9）
+// channelBits：precision_of_each_color_channel，a_single_value_means_a_luminance_channel
+const COLOR_FORMATS = {
+  RGB565: { cf: 0x12, bitsPerPixel: 16, channelBits: [5, 6, 5] },
+  RGB565_SWAPPED: { cf: 0x1B, bitsPerPixel: 16, channelBits: [5, 6, 5] },
+  RGB565A8: { cf: 0x14, bitsPerPixel: 16, channelBits: [5, 6, 5], alphaPlane: true },
+  RGB888: { cf: 0x0F, bitsPerPixel: 24, channelBits: [8, 8, 8] },
+  ARGB8888: { cf: 0x10, bitsPerPixel: 32, channelBits: [8, 8, 8] },
+  L8: { cf: 0x06, bitsPerPixel: 8, channelBits: [8] },
+  I1: { cf: 0x07, bitsPerPixel: 1, channelBits: [1], paletteSize: 2 }
+}
+
+const DEFAULT_COLOR_FORMAT = 'RGB565'
+
+const DITHER_METHODS = ['none', 'bayer4', 'bayer8', 'floyd-steinberg']
+const DEFAULT_DITHER = 'none'
+
+// Floyd–Steinberg error_distribution：[dx, dy, weight]
+const FLOYD_STEINBERG = [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]]
+
+/**
+ * generate_a_bayer_threshold_matrix
+ * @param {number} size - matrix_size（power_of_2）
+ * @returns {Array<number>} row_major_values 0..size*size-1
+ */
+const createBayerMatrix = (size) => {
+  let matrix = [0]
+  for (let n = 1; n < size; n *= 2) {
+    const next = new Array(n * n * 4)
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const value = matrix[y * n + x] * 4
+        next[y * 2 * n + x] = value
+        next[y * 2 * n + x + n] = value + 2
+        next[(y + n) * 2 * n + x] = value + 3
+        next[(y + n) * 2 * n + x + n] = value + 1
+      }
+    }
+    matrix = next
+  }
+  return matrix
+}
+
+const BAYER_MATRICES = {
+  bayer4: createBayerMatrix(4),
+  bayer8: createBayerMatrix(8)
+}
+
+class LvglImage {
+  constructor() {
+    this.formats = COLOR_FORMATS
+  }
+
+  /**
+   * get_the_list_of_supported_color_formats
+   * @returns {Array<string>} format_names
+   */
+  getFormatNames() {
+    return Object.keys(COLOR_FORMATS)
+  }
+
+  /**
+   * get_the_list_of_supported_dithering_methods
+   * @returns {Array<string>} method_names
+   */
+  getDitherMethods() {
+    return [...DITHER_METHODS]
+  }
+
+  /**
+   * get_color_format_information
+   * @param {string} format - format_name
+   * @returns {Object} {cf, bitsPerPixel, channelBits, alphaPlane?, paletteSize?}
+   */
+  getFormat(format) {
+    const info = COLOR_FORMATS[format]
+    if (!info) {
+      throw new Error(`Unsupported color format: ${format}`)
+    }
+    return info
+  }
+
+  /**
+   * find_the_format_name_by_cf
+   * @param {number} cf - lv_color_format_t
+   * @returns {string|null} format_name
+   */
+  getFormatByCf(cf) {
+    return Object.keys(COLOR_FORMATS).find(name => COLOR_FORMATS[name].cf === cf) || null
+  }
+
+  /**
+   * whether_the_format_is_for_monochrome_screens
+   * @param {string} format - format_name
+   * @returns {boolean}
+   */
+  isMonochrome(format) {
+    return format === 'I1'
+  }
+
+  /**
+   * bytes_per_line_written_in_the_header（for RGB565A8 it_is_the_stride_of_the_RGB565_plane）
+   * @param {string} format - format_name
+   * @param {number} width - width
+   * @returns {number} stride
+   */
+  getStride(format, width) {
+    return Math.ceil(width * this.getFormat(format).bitsPerPixel / 8)
+  }
+
+  /**
+   * size_of_the_image_data（without_the_28_byte_header）
+   * @param {string} format - format_name
+   * @param {number} width - width
+   * @param {number} height - height
+   * @returns {number} data_size
+   */
+  getDataSize(format, width, height) {
+    const info = this.getFormat(format)
+    let size = this.getStride(format, width) * height
+    if (info.alphaPlane) size += width * height
+    if (info.paletteSize) size += info.paletteSize * 4
+    return size
+  }
+
+  /**
+   * size_of_the_whole_raw_file
+   * @param {string} format - format_name
+   * @param {number} width - width
+   * @param {number} height - height
+   * @returns {number} file_size
+   */
+  getFileSize(format, width, height) {
+    return LV_IMAGE_DSC_SIZE + this.getDataSize(format, width, height)
+  }
+
+  /**
+   * quantize_pixels_to_the_precision_of_the_color_format_with_dithering
+   * the_result_is_still_RGBA，each_channel_is_exactly_a_value_the_panel_can_show，
+   * so_the_truncation_in_encode_keeps_it_unchanged
+   * @param {Object} image - {width, height, data: RGBA}
+   * @param {string} format - format_name
+   * @param {string} method - dithering_method
+   * @returns {Object} {width, height, data: RGBA}（none returns_the_input_image）
+   */
+  dither(image, format, method = DEFAULT_DITHER) {
+    if (!DITHER_METHODS.includes(method)) {
+      throw new Error(`Unsupported dither method: ${method}`)
+    }
+
+    const { channelBits } = this.getFormat(format)
+    if (method === 'none' || channelBits.every(bits => bits >= 8)) {
+      return image
+    }
+
+    const { width, height, data: pixels } = image
+    const channels = channelBits.length
+    const maxLevels = channelBits.map(bits => (1 << bits) - 1)
+
+    // working_values，luminance_formats_dither_the_luminance_only
+    const values = new Float32Array(width * height * channels)
+    for (let p = 0; p < width * height; p++) {
+      if (channels === 1) {
+        values[p] = this.toLuma(pixels, p * 4)
+      } else {
+        values[p * 3] = pixels[p * 4]
+        values[p * 3 + 1] = pixels[p * 4 + 1]
+        values[p * 3 + 2] = pixels[p * 4 + 2]
+      }
+    }
+
+    const result = new Uint8ClampedArray(pixels)
+    const matrix = BAYER_MATRICES[method]
+    const matrixSize = matrix ? Math.sqrt(matrix.length) : 0
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x
+        // ordered：threshold_in (0, 1)，error_diffusion：round_to_the_nearest_level
+        const threshold = matrix
+          ? (matrix[(y % matrixSize) * matrixSize + (x % matrixSize)] + 0.5) / matrix.length
+          : 0.5
+
+        for (let c = 0; c < channels; c++) {
+          const value = values[p * channels + c]
+          const maxLevel = maxLevels[c]
+          const level = Math.min(maxLevel, Math.max(0, Math.floor(value * maxLevel / 255 + threshold)))
+          const quantized = this.expandLevel(level, channelBits[c])
+
+          if (channels === 1) {
+            result[p * 4] = result[p * 4 + 1] = result[p * 4 + 2] = quantized
+          } else {
+            result[p * 4 + c] = quantized
+          }
+
+          if (!matrix) {
+            const error = value - quantized
+            for (const [dx, dy, weight] of FLOYD_STEINBERG) {
+              const nx = x + dx
+              const ny = y + dy
+              if (nx < 0 || nx >= width || ny >= height) continue
+              values[(ny * width + nx) * channels + c] += error * weight
+            }
+          }
+        }
+      }
+    }
+
+    return { width, height, data: result }
+  }
+
+  /**
+   * encode_and_decode_again，get_the_image_exactly_as_the_panel_shows_it
+   * @param {Object} image - {width, height, data: RGBA}
+   * @param {string} format - format_name
+   * @param {Object} options - {dither, compress}
+   * @returns {Object} {width, height, data: RGBA, fileSize}
+   */
+  render(image, format = DEFAULT_COLOR_FORMAT, options = {}) {
+    const buffer = this.encode(image, format, options)
+    const rendered = this.decode(buffer, {
+      colorFormat: this.getFormat(format).cf,
+      flags: new DataView(buffer).getUint32(0, true) >>> 16,
+      width: image.width,
+      height: image.height,
+      stride: this.getStride(format, image.width),
+      headerSize: LV_IMAGE_DSC_SIZE
+    })
+    return { ...rendered, fileSize: buffer.byteLength }
+  }
+
+  /**
+   * encode RGBA pixels_as_a_lvgl_raw_image
+   * @param {Object} image - {width, height, data: RGBA}
+   * @param {string} format - format_name
+   * @param {Object} options - {dither: none | bayer4 | bayer8 | floyd-steinberg, compress: none | rle | lz4}
+   * @returns {ArrayBuffer} raw file_data
+   */
+  encode(image, format = DEFAULT_COLOR_FORMAT, options = {}) {
+    const info = this.getFormat(format)
+    const { width, height, data: pixels } = this.dither(image, format, options.dither || DEFAULT_DITHER)
+    const stride = this.getStride(format, width)
+    const dataSize = this.getDataSize(format, width, height)
+
+    const buffer = new ArrayBuffer(LV_IMAGE_DSC_SIZE + dataSize)
+    const view = new DataView(buffer)
+    const bytes = new Uint8Array(buffer)
+
+    // lv_image_header_t
+    view.setUint32(0, (info.cf << 8) | LV_IMAGE_HEADER_MAGIC, true)
+    view.setUint32(4, ((height << 16) | width) >>> 0, true)
+    view.setUint32(8, stride, true)
+    // lv_image_dsc_t remaining fields
+    view.setUint32(12, dataSize, true)
+    view.setUint32(16, LV_IMAGE_DSC_SIZE, true)
+    view.setUint32(20, 0, true)
+    view.setUint32(24, 0, true)
+
+    const offset = LV_IMAGE_DSC_SIZE
+
+    switch (format) {
+      case 'RGB565':
+      case 'RGB565_SWAPPED':
+      case 'RGB565A8': {
+        const littleEndian = format !== 'RGB565_SWAPPED'
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4
+            view.setUint16(offset + y * stride + x * 2, this.toRgb565(pixels, i), littleEndian)
+          }
+        }
+        if (info.alphaPlane) {
+          // alpha_plane_follows_the_color_plane
+          const alphaOffset = offset + stride * height
+          for (let p = 0; p < width * height; p++) {
+            bytes[alphaOffset + p] = pixels[p * 4 + 3]
+          }
+        }
+        break
+      }
+
+      case 'RGB888':
+      case 'ARGB8888': {
+        // lvgl_stores_pixels_in_memory_as B G R (A)
+        const size = info.bitsPerPixel / 8
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4
+            const o = offset + y * stride + x * size
+            bytes[o] = pixels[i + 2]
+            bytes[o + 1] = pixels[i + 1]
+            bytes[o + 2] = pixels[i]
+            if (size === 4) bytes[o + 3] = pixels[i + 3]
+          }
+        }
+        break
+      }
+
+      case 'L8': {
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            bytes[offset + y * stride + x] = this.toLuma(pixels, (y * width + x) * 4)
+          }
+        }
+        break
+      }
+
+      case 'I1': {
+        // palette：index 0 black，index 1 white（lv_color32_t B G R A）
+        view.setUint32(offset, 0xFF000000, true)
+        view.setUint32(offset + 4, 0xFFFFFFFF, true)
+        const bitsOffset = offset + info.paletteSize * 4
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            if (this.toLuma(pixels, (y * width + x) * 4) >= 128) {
+              bytes[bitsOffset + y * stride + (x >> 3)] |= 0x80 >> (x & 7)
+            }
+          }
+        }
+        break
+      }
+    }
+
+    return this.compress(buffer, format, options.compress || DEFAULT_COMPRESS)
+  }
+
+  /**
+   * RLE block_size，the_same_as_the_lvgl_decoder（RGB565A8 uses_2，others_use_bytes_per_pixel）
+   * @param {string} format - format_name
+   * @returns {number} block_size
+   */
+  getCompressBlockSize(format) {
+    if (format === 'RGB565A8') return 2
+    return Math.ceil(this.getFormat(format).bitsPerPixel / 8)
+  }
+
+  /**
+   * compress_the_data_of_an_encoded_raw_image，keep_it_uncompressed_when_nothing_is_saved
+   * @param {ArrayBuffer} buffer - uncompressed raw file_data
+   * @param {string} format - format_name
+   * @param {string} method - none、rle or lz4
+   * @returns {ArrayBuffer} raw file_data
+   */
+  compress(buffer, format, method = DEFAULT_COMPRESS) {
+    const methodId = imageCompressor.getMethodId(method)
+    if (method === 'none') return buffer
+
+    // the_decoder_works_on_whole_blocks，pad_the_data_to_a_multiple_of_the_block_size
+    const blkSize = this.getCompressBlockSize(format)
+    const original = new Uint8Array(buffer, LV_IMAGE_DSC_SIZE)
+    const paddedSize = Math.ceil(original.length / blkSize) * blkSize
+    const padded = new Uint8Array(paddedSize)
+    padded.set(original)
+
+    const compressed = imageCompressor.compress(padded, method, blkSize)
+    const dataSize = LV_IMAGE_COMPRESSED_HEADER_SIZE + compressed.length
+    if (dataSize >= original.length) return buffer
+
+    const result = new ArrayBuffer(LV_IMAGE_DSC_SIZE + dataSize)
+    const view = new DataView(result)
+    const bytes = new Uint8Array(result)
+    bytes.set(new Uint8Array(buffer, 0, LV_IMAGE_DSC_SIZE))
+
+    view.setUint32(0, (view.getUint32(0, true) | (LV_IMAGE_FLAGS_COMPRESSED << 16)) >>> 0, true)
+    view.setUint32(12, dataSize, true)
+
+    // lv_image_compressed_t
+    view.setUint32(LV_IMAGE_DSC_SIZE, methodId, true)
+    view.setUint32(LV_IMAGE_DSC_SIZE + 4, compressed.length, true)
+    view.setUint32(LV_IMAGE_DSC_SIZE + 8, paddedSize, true)
+    bytes.set(compressed, LV_IMAGE_DSC_SIZE + LV_IMAGE_COMPRESSED_HEADER_SIZE)
+
+    return result
+  }
+
+  /**
+   * whether_a_raw_image_is_compressed
+   * @param {Object} header - parsed_header（contains flags）
+   * @returns {boolean}
+   */
+  isCompressed(header) {
+    return ((header.flags || 0) & LV_IMAGE_FLAGS_COMPRESSED) !== 0
+  }
+
+  /**
+   * get_the_compression_method_of_a_raw_image
+   * @param {ArrayBuffer} data - raw file_data
+   * @param {Object} header - parsed_header
+   * @returns {string|null} none、rle、lz4，null_when_unknown
+   */
+  getCompression(data, header) {
+    if (!this.isCompressed(header)) return 'none'
+    if (header.headerSize + 4 > data.byteLength) return null
+    return imageCompressor.getMethodById(new DataView(data).getUint32(header.headerSize, true) & 0x0F)
+  }
+
+  /**
+   * restore_the_uncompressed_raw_data_of_a_compressed_image
+   * @param {ArrayBuffer} data - raw file_data
+   * @param {Object} header - parsed_header
+   * @returns {ArrayBuffer} raw file_data_with_uncompressed_pixels（same_header_size）
+   */
+  decompress(data, header) {
+    const format = this.getFormatByCf(header.colorFormat)
+    const { headerSize } = header
+    if (headerSize + LV_IMAGE_COMPRESSED_HEADER_SIZE > data.byteLength) {
+      throw new Error('Image data is truncated')
+    }
+
+    const view = new DataView(data)
+    const method = imageCompressor.getMethodById(view.getUint32(headerSize, true) & 0x0F)
+    const compressedSize = view.getUint32(headerSize + 4, true)
+    const decompressedSize = view.getUint32(headerSize + 8, true)
+    const start = headerSize + LV_IMAGE_COMPRESSED_HEADER_SIZE
+    if (!method || method === 'none') {
+      throw new Error('Unsupported compression method')
+    }
+    if (start + compressedSize > data.byteLength) {
+      throw new Error('Image data is truncated')
+    }
+
+    const pixels = imageCompressor.decompress(
+      new Uint8Array(data, start, compressedSize),
+      method,
+      decompressedSize,
+      this.getCompressBlockSize(format)
+    )
+
+    const result = new Uint8Array(headerSize + decompressedSize)
+    result.set(new Uint8Array(data, 0, headerSize))
+    result.set(pixels, headerSize)
+    return result.buffer
+  }
+
+  /**
+   * decode_a_lvgl_raw_image_to RGBA pixels
+   * @param {ArrayBuffer} data - raw file_data
+   * @param {Object} header - parsed_header {colorFormat, flags, width, height, stride, headerSize}
+   * @returns {Object} {width, height, data: RGBA}
+   */
+  decode(data, header) {
+    const { width, height, stride, headerSize } = header
+    const format = this.getFormatByCf(header.colorFormat)
+    if (!format) {
+      throw new Error(`Unsupported color format 0x${header.colorFormat.toString(16)}`)
+    }
+    if (this.isCompressed(header)) {
+      data = this.decompress(data, header)
+    }
+
+    const info = this.getFormat(format)
+    const view = new DataView(data)
+    const bytes = new Uint8Array(data)
+    let required = headerSize + stride * height
+    if (info.alphaPlane) required += width * height
+    if (info.paletteSize) required += info.paletteSize * 4
+    if (required > data.byteLength) {
+      throw new Error('Image data is truncated')
+    }
+
+    const pixels = new Uint8ClampedArray(width * height * 4)
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4
+        let r = 0
+        let g = 0
+        let b = 0
+        let a = 255
+
+        switch (format) {
+          case 'RGB565':
+          case 'RGB565_SWAPPED':
+          case 'RGB565A8': {
+            const value = view.getUint16(headerSize + y * stride + x * 2, format !== 'RGB565_SWAPPED')
+            const r5 = (value >> 11) & 0x1F
+            const g6 = (value >> 5) & 0x3F
+            const b5 = value & 0x1F
+            // expand_to_8_bits，high_bits_fill_low_bits
+            r = (r5 << 3) | (r5 >> 2)
+            g = (g6 << 2) | (g6 >> 4)
+            b = (b5 << 3) | (b5 >> 2)
+            if (info.alphaPlane) a = bytes[headerSize + stride * height + y * width + x]
+            break
+          }
+          case 'RGB888':
+          case 'ARGB8888': {
+            const o = headerSize + y * stride + x * (info.bitsPerPixel / 8)
+            b = bytes[o]
+            g = bytes[o + 1]
+            r = bytes[o + 2]
+            if (format === 'ARGB8888') a = bytes[o + 3]
+            break
+          }
+          case 'L8':
+            r = g = b = bytes[headerSize + y * stride + x]
+            break
+          case 'I1': {
+            const bitsOffset = headerSize + info.paletteSize * 4
+            const bit = (bytes[bitsOffset + y * stride + (x >> 3)] >> (7 - (x & 7))) & 1
+            const o = headerSize + bit * 4
+            b = bytes[o]
+            g = bytes[o + 1]
+            r = bytes[o + 2]
+            a = bytes[o + 3]
+            break
+          }
+        }
+
+        pixels[i] = r
+        pixels[i + 1] = g
+        pixels[i + 2] = b
+        pixels[i + 3] = a
+      }
+    }
+
+    return { width, height, data: pixels }
+  }
+
+  // expand_a_quantized_level_to_8_bits，high_bits_fill_low_bits（same_as_the_decoder）
+  expandLevel(level, bits) {
+    if (bits >= 8) return level
+    let value = level << (8 - bits)
+    for (let filled = bits; filled < 8; filled *= 2) {
+      value |= value >> filled
+    }
+    return value
+  }
+
+  toRgb565(pixels, i) {
+    const r = pixels[i] >> 3      // 5 bits red
+    const g = pixels[i + 1] >> 2  // 6 bit green
+    const b = pixels[i + 2] >> 3  // 5 bits blue
+    return (r << 11) | (g << 5) | b
+  }
+
+  // integer_luminance（BT.601），keep_the_output_deterministic
+  toLuma(pixels, i) {
+    return (pixels[i] * 77 + pixels[i + 1] * 150 + pixels[i + 2] * 29) >> 8
+  }
+}
+
+const lvglImage = new LvglImage()
+
+export default lvglImage
+export {
+  LvglImage,
+  COLOR_FORMATS,
+  DEFAULT_COLOR_FORMAT,
+  DITHER_METHODS,
+  DEFAULT_DITHER,
+  DEFAULT_COMPRESS,
+  LV_IMAGE_HEADER_MAGIC,
+  LV_IMAGE_DSC_SIZE,
+  LV_IMAGE_FLAGS_COMPRESSED
+}
@@ -0,0 +1,200 @@
+/**
+ * ProjectBundle kind
+ * export_and_import_the_whole_project_as_a .zip package，used_to_share_themes_between_devices
+ *
+ * package_structure：
+ * - project.json              // sanitized_configuration + file_list
+ * - files/<storage_key>/<file_name>  // original_uploaded_files（custom_font、emoticons、background）
+ *
+ * the_storage_keys_are_the_same_as IndexedDB（custom_font、hash_<hash>、background_light、background_dark），
+ * after_importing，use AssetsBuilder.restoreAllResourcesFromStorage restore_the_configuration
+ */
+
+import JSZip from 'jszip'
+import configStorage from './ConfigStorage.js'
+
+const BUNDLE_FORMAT = 'xiaozhi-assets-project'
+const BUNDLE_VERSION = 1
+const PROJECT_FILE = 'project.json'
+
+class ProjectBundle {
+  /**
+   * @param {AssetsBuilder} assetsBuilder - the_builder_that_holds_the_resources
+   */
+  constructor(assetsBuilder) {
+    this.assetsBuilder = assetsBuilder
+    this.configStorage = configStorage
+    this.warnings = []
+  }
+
+  /**
+   * collect_the_original_uploaded_files_of_the_configuration
+   * @param {Object} config - configuration_object
+   * @returns {Array<Object>} [{key, file, resourceType}]
+   */
+  collectFiles(config) {
+    const files = []
+    const theme = config?.theme || {}
+
+    const add = (key, file, resourceType) => {
+      const source = file || this.assetsBuilder?.resources.get(key)?.file
+      if (source) {
+        files.push({ key, file: source, resourceType })
+      } else {
+        this.warnings.push(`File for ${key} is missing and was not exported`)
+      }
+    }
+
+    if (theme.font?.type === 'custom') {
+      add('custom_font', theme.font.custom?.file, 'font')
+      for (const fallback of theme.font.custom?.fallbacks || []) {
+        add(`custom_font_${fallback.id}`, fallback.file, 'font')
+      }
+      if (theme.font.custom?.icons?.type === 'custom') {
+        add('custom_font_icons', theme.font.custom.icons.file, 'font')
+      }
+    }
+
+    if (theme.emoji?.type === 'custom') {
+      for (const [hash, file] of Object.entries(theme.emoji.custom?.fileMap || {})) {
+        add(`hash_${hash}`, file, 'emoji')
+      }
+    }
+
+    for (const mode of ['light', 'dark']) {
+      if (theme.skin?.[mode]?.backgroundType === 'image') {
+        add(`background_${mode}`, theme.skin[mode].backgroundImage, 'background')
+      }
+    }
+
+    return files
+  }
+
+  /**
+   * export_project_package
+   * @param {Object} config - current_configuration
+   * @returns {Promise<Object>} {blob, warnings}
+   */
+  async exportProject(config) {
+    this.warnings = []
+
+    const zip = new JSZip()
+    const entries = []
+
+    for (const { key, file, resourceType } of this.collectFiles(config)) {
+      const name = file.name || key
+      const path = `files/${key}/${name}`
+      zip.file(path, file)
+      entries.push({
+        key,
+        path,
+        name,
+        type: file.type || 'application/octet-stream',
+        resourceType,
+        lastModified: file.lastModified || Date.now()
+      })
+    }
+
+    const project = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      config: this.configStorage.sanitizeConfigForStorage(config),
+      files: entries
+    }
+    zip.file(PROJECT_FILE, JSON.stringify(project, null, 2))
+
+    const blob = await zip.generateAsync({
+      type: 'blob',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 6 }
+    })
+
+    return { blob, warnings: [...this.warnings] }
+  }
+
+  /**
+   * read_the_project_package
+   * @param {File|Blob} file - .zip document
+   * @returns {Promise<Object>} {project, files: [{key, file, resourceType}]}
+   */
+  async readProject(file) {
+    let zip
+    try {
+      zip = await JSZip.loadAsync(file)
+    } catch (error) {
+      throw new Error(`Not a valid zip file: ${error.message}`)
+    }
+
+    const projectEntry = zip.file(PROJECT_FILE)
+    if (!projectEntry) {
+      throw new Error(`Not a project bundle: ${PROJECT_FILE} not found`)
+    }
+
+    let project
+    try {
+      project = JSON.parse(await projectEntry.async('string'))
+    } catch (error) {
+      throw new Error(`Invalid ${PROJECT_FILE}: ${error.message}`)
+    }
+
+    if (project.format !== BUNDLE_FORMAT) {
+      throw new Error(`Not a project bundle: unknown format "${project.format}"`)
+    }
+    if (project.version > BUNDLE_VERSION) {
+      throw new Error(`Project bundle version ${project.version} is not supported, please update the tool`)
+    }
+    if (!project.config || typeof project.config !== 'object') {
+      throw new Error(`Invalid ${PROJECT_FILE}: missing config`)
+    }
+
+    const files = []
+    for (const entry of project.files || []) {
+      const zipEntry = zip.file(entry.path)
+      if (!zipEntry) {
+        this.warnings.push(`File ${entry.path} is listed but missing from the bundle`)
+        continue
+      }
+      const blob = await zipEntry.async('blob')
+      files.push({
+        key: entry.key,
+        resourceType: entry.resourceType,
+        file: new File([blob], entry.name, {
+          type: entry.type,
+          lastModified: entry.lastModified
+        })
+      })
+    }
+
+    return { project, files }
+  }
+
+  /**
+   * import_the_project_package，replace_the_current_configuration_and_stored_files
+   * @param {File|Blob} file - .zip document
+   * @returns {Promise<Object>} {config, warnings}
+   */
+  async importProject(file) {
+    this.warnings = []
+
+    // read_and_verify_first，avoid_clearing_the_current_data_for_an_invalid_package
+    const { project, files } = await this.readProject(file)
+
+    await this.assetsBuilder.clearAllStoredData()
+
+    for (const item of files) {
+      await this.configStorage.saveFile(item.key, item.file, item.resourceType)
+    }
+
+    const config = project.config
+    await this.configStorage.saveConfig(config)
+
+    // restore_files_in_the_configuration_and AssetsBuilder.resources
+    this.assetsBuilder.setConfig(config, { strict: false })
+    await this.assetsBuilder.restoreAllResourcesFromStorage(config)
+
+    return { config, warnings: [...this.warnings] }
+  }
+}
+
+export default ProjectBundle
@@ -0,0 +1,174 @@
+/**
+ * SchemaValidator kind
+ * a_small JSON Schema (draft-07) validator，only_the_keywords_used_by_the_theme_manifest_are_supported
+ *
+ * supported_keywords：
+ * type、enum、const、required、properties、additionalProperties、
+ * minimum、maximum、minLength、maxLength、pattern、items、allOf、if/then/else
+ */
+
+class SchemaValidator {
+  /**
+   * verify_data
+   * @param {*} data - data_to_be_verified
+   * @param {Object} schema - JSON Schema
+   * @returns {Array<Object>} error_list [{path, message}]，empty_means_valid
+   */
+  validate(data, schema) {
+    const errors = []
+    this.validateNode(data, schema, '', errors)
+    return errors
+  }
+
+  /**
+   * format_error_list_as_text
+   * @param {Array<Object>} errors - error_list
+   * @returns {Array<string>} error_text
+   */
+  formatErrors(errors) {
+    return errors.map(error => `${error.path || '(root)'}: ${error.message}`)
+  }
+
+  /**
+   * verify_a_single_node
+   * @param {*} value - node_value
+   * @param {Object} schema - node_schema
+   * @param {string} path - node_path
+   * @param {Array<Object>} errors - collected_errors
+   */
+  validateNode(value, schema, path, errors) {
+    if (!schema || typeof schema !== 'object') return
+
+    if (schema.type !== undefined && !this.matchesType(value, schema.type)) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+      const message = value === null || value === undefined
+        ? 'is required'
+        : `must be ${types.map(type => this.describeType(type)).join(' or ')}`
+      errors.push({ path, message })
+      return
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` })
+      return
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` })
+      return
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` })
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` })
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` })
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path, message: `must be at most ${schema.maxLength} characters` })
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match ${schema.pattern}` })
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        this.validateNode(item, schema.items, `${path}[${index}]`, errors)
+      })
+    }
+
+    if (this.isObject(value)) {
+      this.validateObject(value, schema, path, errors)
+    }
+
+    if (schema.allOf) {
+      schema.allOf.forEach(subSchema => this.validateNode(value, subSchema, path, errors))
+    }
+
+    if (schema.if) {
+      const matched = this.validate(value, schema.if).length === 0
+      const branch = matched ? schema.then : schema.else
+      if (branch) {
+        this.validateNode(value, branch, path, errors)
+      }
+    }
+  }
+
+  /**
+   * verify_object_properties
+   * @param {Object} value - object_value
+   * @param {Object} schema - object_schema
+   * @param {string} path - object_path
+   * @param {Array<Object>} errors - collected_errors
+   */
+  validateObject(value, schema, path, errors) {
+    const properties = schema.properties || {}
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: this.joinPath(path, key), message: 'is required' })
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = this.joinPath(path, key)
+      if (properties[key]) {
+        this.validateNode(propertyValue, properties[key], propertyPath, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not a known field' })
+      } else if (this.isObject(schema.additionalProperties)) {
+        this.validateNode(propertyValue, schema.additionalProperties, propertyPath, errors)
+      }
+    }
+  }
+
+  /**
+   * check_value_type
+   * @param {*} value - value
+   * @param {string|Array<string>} type - schema_type
+   * @returns {boolean} does_it_match
+   */
+  matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type]
+    return types.some(item => {
+      switch (item) {
+        case 'null': return value === null
+        case 'object': return this.isObject(value)
+        case 'array': return Array.isArray(value)
+        case 'integer': return Number.isInteger(value)
+        case 'number': return typeof value === 'number' && Number.isFinite(value)
+        default: return typeof value === item
+      }
+    })
+  }
+
+  describeType(type) {
+    return {
+      object: 'an object',
+      array: 'an array',
+      integer: 'an integer',
+      null: 'null'
+    }[type] || `a ${type}`
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+  }
+
+  joinPath(path, key) {
+    return path ? `${path}.${key}` : key
+  }
+}
+
+const schemaValidator = new SchemaValidator()
+
+export default schemaValidator
+export { SchemaValidator }
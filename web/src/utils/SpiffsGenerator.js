@@ -25,7 +25,8 @@
  *     ]
  * }
 */
- */
+
+import imageProcessor from './ImageProcessor.js'
 
 class SpiffsGenerator {
   constructor() {
@@ -59,27 +60,7 @@ class SpiffsGenerator {
    * @returns {Promise<Object>} {width, height}
    */
   async getImageDimensions(imageData) {
-    return new Promise((resolve) => {
-      try {
-        const blob = new Blob([imageData])
-        const url = URL.createObjectURL(blob)
-        const img = new Image()
-        
-        img.onload = () => {
-          URL.revokeObjectURL(url)
-          resolve({ width: img.width, height: img.height })
-        }
-        
-        img.onerror = () => {
-          URL.revokeObjectURL(url)
-          resolve({ width: 0, height: 0 })
-        }
-        
-        img.src = url
-      } catch (error) {
-        resolve({ width: 0, height: 0 })
-      }
-    })
+    return imageProcessor.getImageSize(imageData) || { width: 0, height: 0 }
   }
 
   /**
@@ -359,6 +340,27 @@ class SpiffsGenerator {
     }
   }
 
+  /**
+   * get_the_size_layout_of_the_generated assets.bin，without_generating_it
+   * @returns {Object} {headerSize, mmapTableSize, prefixSize, dataSize, overhead, totalSize}
+   */
+  getLayout() {
+    const headerSize = 4 + 4 + 4 // total_files + checksum + combined_data_length
+    const mmapTableSize = this.files.length * (32 + 4 + 4 + 2 + 2)
+    const prefixSize = this.files.length * 2 // 0x5A5A prefix_of_each_file
+    const dataSize = this.files.reduce((total, file) => total + file.size, 0)
+    const overhead = headerSize + mmapTableSize + prefixSize
+
+    return {
+      headerSize,
+      mmapTableSize,
+      prefixSize,
+      dataSize,
+      overhead,
+      totalSize: overhead + dataSize
+    }
+  }
+
   /**
    * print_a_list_of_packed_files
    */
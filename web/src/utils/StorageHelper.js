@@ -19,7 +19,9 @@ class StorageHelper {
         await configStorage.saveFile(key, file, 'font', {
           size: config.size || 20,
           bpp: config.bpp || 4,
-          charset: config.charset || 'deepseek'
+          charset: config.charset || 'deepseek',
+          compress: Boolean(config.compress),
+          kerning: Boolean(config.kerning)
         })
         console.log(`font_file_saved: ${file.name}`)
       } catch (error) {
@@ -28,6 +30,39 @@ class StorageHelper {
     }
   }
 
+  /**
+   * save_a_fallback_font_file（the_key_uses_the_id_of_the_fallback_entry，so_reordering_keeps_it）
+   * @param {string} id - fallback_id
+   * @param {File} file - font_file
+   * @returns {Promise<void>}
+   */
+  static async saveFontFallbackFile(id, file) {
+    if (file && id) {
+      try {
+        await configStorage.saveFile(`custom_font_${id}`, file, 'font', { fallback: true })
+        console.log(`fallback_font_file_saved: ${file.name}`)
+      } catch (error) {
+        console.warn(`failed_to_save_fallback_font_file: ${file.name}`, error)
+      }
+    }
+  }
+
+  /**
+   * save_the_uploaded_icon_font_file
+   * @param {File} file - font_file
+   * @returns {Promise<void>}
+   */
+  static async saveIconFontFile(file) {
+    if (file) {
+      try {
+        await configStorage.saveFile('custom_font_icons', file, 'font', { icons: true })
+        console.log(`icon_font_file_saved: ${file.name}`)
+      } catch (error) {
+        console.warn(`failed_to_save_icon_font_file: ${file.name}`, error)
+      }
+    }
+  }
+
   /**
    * provide_automatic_saving_function_for_emoticon_files
    * @param {string} emojiName - expression_name_or_file_hash（if_it_starts_with_hash_）
@@ -152,6 +187,35 @@ class StorageHelper {
     }
   }
 
+  /**
+   * delete_a_fallback_font_file
+   * @param {string} id - fallback_id
+   * @returns {Promise<void>}
+   */
+  static async deleteFontFallbackFile(id) {
+    if (!id) return
+
+    try {
+      await configStorage.deleteFile(`custom_font_${id}`)
+      console.log(`fallback_font_file_deleted: ${id}`)
+    } catch (error) {
+      console.warn(`failed_to_delete_fallback_font_file: ${id}`, error)
+    }
+  }
+
+  /**
+   * delete_the_uploaded_icon_font_file
+   * @returns {Promise<void>}
+   */
+  static async deleteIconFontFile() {
+    try {
+      await configStorage.deleteFile('custom_font_icons')
+      console.log('图标字体文件已删除')
+    } catch (error) {
+      console.warn('删除图标字体文件失败:', error)
+    }
+  }
+
   /**
    * delete_emoticon_files
    * @param {string} emojiName - expression_name_or_file_hash（if_it_starts_with_hash_）
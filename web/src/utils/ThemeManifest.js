@@ -0,0 +1,450 @@
+/**
+ * ThemeManifest kind
+ * conversion_between_the_editor_configuration_and_the_theme_manifest_file（YAML / JSON）
+ *
+ * main_functions：
+ * - export_the_configuration_as_a_manifest，asset_files_are_referenced_by_relative_paths
+ * - parse_the_manifest_and_restore_the_editor_configuration
+ * - according_to JSON Schema verify_the_manifest，give_an_error_for_each_field
+ */
+
+import yaml from 'js-yaml'
+import themeManifestSchema from './ThemeManifestSchema.js'
+import schemaValidator from './SchemaValidator.js'
+
+const MANIFEST_VERSION = 1
+
+const MIME_TYPES = {
+  png: 'image/png',
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff: 'font/woff',
+  woff2: 'font/woff2'
+}
+
+class ThemeManifest {
+  constructor() {
+    this.version = MANIFEST_VERSION
+    this.schema = themeManifestSchema
+  }
+
+  /**
+   * generate_a_manifest_from_the_editor_configuration
+   * @param {Object} config - editor_configuration
+   * @returns {Object} {manifest, files}，files are Map<relative_path, File>
+   */
+  createManifest(config) {
+    const files = new Map()
+    const theme = config?.theme || {}
+    const display = config?.chip?.display || {}
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      chip: {
+        model: config?.chip?.model ?? '',
+        display: {
+          width: display.width,
+          height: display.height
+        }
+      },
+      theme: {
+        wakeword: theme.wakeword || ''
+      }
+    }
+    if (display.monochrome !== undefined) manifest.chip.display.monochrome = display.monochrome
+    if (display.color) manifest.chip.display.color = display.color
+
+    // font
+    const font = theme.font || { type: 'none' }
+    manifest.theme.font = { type: font.type }
+    if (font.type === 'preset') {
+      manifest.theme.font.preset = font.preset
+    } else if (font.type === 'custom') {
+      const custom = font.custom || {}
+      manifest.theme.font.custom = {
+        file: this.addFile(files, 'fonts', custom.file),
+        size: custom.size,
+        bpp: custom.bpp,
+        charset: custom.charset
+      }
+      if (custom.symbols) manifest.theme.font.custom.symbols = custom.symbols
+      if (custom.range) manifest.theme.font.custom.range = custom.range
+      if (custom.compress) manifest.theme.font.custom.compress = true
+      if (custom.kerning) manifest.theme.font.custom.kerning = true
+      const fallbacks = (custom.fallbacks || []).filter(fallback => fallback.file)
+      if (fallbacks.length) {
+        manifest.theme.font.custom.fallbacks = fallbacks.map(fallback => {
+          const item = { file: this.addFile(files, 'fonts', fallback.file) }
+          if (fallback.charset) item.charset = fallback.charset
+          if (fallback.symbols) item.symbols = fallback.symbols
+          if (fallback.range) item.range = fallback.range
+          return item
+        })
+      }
+      const icons = custom.icons
+      if (icons?.range && icons.type === 'preset' && icons.preset) {
+        manifest.theme.font.custom.icons = { type: 'preset', preset: icons.preset, range: icons.range }
+      } else if (icons?.range && icons.type === 'custom' && icons.file) {
+        manifest.theme.font.custom.icons = { type: 'custom', file: this.addFile(files, 'fonts', icons.file), range: icons.range }
+      }
+    }
+
+    // expression（multiple_emoticons_using_the_same_file_refer_to_the_same_path）
+    const emoji = theme.emoji || { type: 'none' }
+    manifest.theme.emoji = { type: emoji.type }
+    if (emoji.imageFormat) manifest.theme.emoji.imageFormat = emoji.imageFormat
+    if (emoji.type === 'preset') {
+      manifest.theme.emoji.preset = emoji.preset
+    } else if (emoji.type === 'custom') {
+      const custom = emoji.custom || {}
+      const fileMap = custom.fileMap || {}
+      const emotionMap = custom.emotionMap || {}
+      const images = {}
+      const pathByHash = new Map()
+
+      for (const [emotion, file] of Object.entries(custom.images || {})) {
+        if (!file) continue
+        const hash = emotionMap[emotion]
+        if (hash && pathByHash.has(hash)) {
+          images[emotion] = pathByHash.get(hash)
+          continue
+        }
+        const source = (hash && fileMap[hash]) || file
+        const filePath = this.addFile(files, 'emoji', source, emotion)
+        if (hash) pathByHash.set(hash, filePath)
+        images[emotion] = filePath
+      }
+
+      manifest.theme.emoji.custom = {
+        size: { ...(custom.size || {}) },
+        images
+      }
+      if (custom.emotions?.length > 0) {
+        manifest.theme.emoji.custom.emotions = custom.emotions.map(emotion => ({ ...emotion }))
+      }
+      if (custom.fit) manifest.theme.emoji.custom.fit = custom.fit
+      if (custom.sizes && Object.keys(custom.sizes).length > 0) {
+        manifest.theme.emoji.custom.sizes = this.copySizes(custom.sizes)
+      }
+      if (custom.gifLossy !== undefined) manifest.theme.emoji.custom.gifLossy = custom.gifLossy
+      if (custom.gifLevel !== undefined) manifest.theme.emoji.custom.gifLevel = custom.gifLevel
+    }
+
+    // skin
+    if (theme.skin) {
+      manifest.theme.skin = {}
+      for (const mode of ['light', 'dark']) {
+        const skin = theme.skin[mode]
+        if (!skin) continue
+        const item = {
+          backgroundType: skin.backgroundType,
+          backgroundColor: skin.backgroundColor,
+          textColor: skin.textColor
+        }
+        if (skin.backgroundType === 'image') {
+          item.backgroundImage = this.addFile(files, 'backgrounds', skin.backgroundImage, mode)
+          if (skin.fit) item.fit = { ...skin.fit }
+        }
+        manifest.theme.skin[mode] = item
+      }
+      if (theme.skin.dither) manifest.theme.skin.dither = theme.skin.dither
+      if (theme.skin.compress) manifest.theme.skin.compress = theme.skin.compress
+    }
+
+    return { manifest, files }
+  }
+
+  /**
+   * assign_a_unique_relative_path_to_the_file
+   * @param {Map} files - allocated_files
+   * @param {string} directory - directory_name
+   * @param {File|Blob|null} file - file_object
+   * @param {string} fallbackName - name_used_when_the_file_has_no_name
+   * @returns {string|null} relative_path
+   */
+  addFile(files, directory, file, fallbackName = 'file') {
+    if (!file) return null
+
+    for (const [existingPath, existingFile] of files) {
+      if (existingFile === file) return existingPath
+    }
+
+    const name = file.name || `${fallbackName}.${this.getExtension(file)}`
+    const dot = name.lastIndexOf('.')
+    const base = dot > 0 ? name.slice(0, dot) : name
+    const ext = dot > 0 ? name.slice(dot) : ''
+
+    let filePath = `${directory}/${name}`
+    let counter = 2
+    while (files.has(filePath)) {
+      filePath = `${directory}/${base}_${counter}${ext}`
+      counter++
+    }
+
+    files.set(filePath, file)
+    return filePath
+  }
+
+  getExtension(file) {
+    const type = file?.type || ''
+    const ext = Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === type)
+    return ext || 'bin'
+  }
+
+  /**
+   * copy_the_per_emotion_size_overrides（emotion -> {width, height, fit}）
+   * @param {Object} sizes - size_overrides
+   * @returns {Object} copy
+   */
+  copySizes(sizes) {
+    return Object.fromEntries(Object.entries(sizes).map(([emotion, size]) => [emotion, { ...size }]))
+  }
+
+  /**
+   * verify_the_manifest
+   * @param {Object} manifest - manifest_object
+   * @returns {Array<Object>} error_list [{path, message}]
+   */
+  validate(manifest) {
+    return schemaValidator.validate(manifest, this.schema)
+  }
+
+  /**
+   * verify_the_editor_configuration（verify_the_corresponding_manifest）
+   * @param {Object} config - editor_configuration
+   * @returns {Array<Object>} error_list [{path, message}]
+   */
+  validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return [{ path: '', message: 'is required' }]
+    }
+    return this.validate(this.createManifest(config).manifest)
+  }
+
+  /**
+   * format_error_list_as_text
+   * @param {Array<Object>} errors - error_list
+   * @returns {Array<string>} error_text
+   */
+  formatErrors(errors) {
+    return schemaValidator.formatErrors(errors)
+  }
+
+  /**
+   * parse_manifest_text
+   * @param {string} text - manifest_content
+   * @param {string} filename - file_name，used_to_determine_the_format
+   * @returns {Object} manifest_object
+   */
+  parse(text, filename = '') {
+    const isJson = /\.json$/i.test(filename) || (!filename && text.trimStart().startsWith('{'))
+    let manifest
+    try {
+      manifest = isJson ? JSON.parse(text) : yaml.load(text)
+    } catch (error) {
+      throw new Error(`Invalid manifest${filename ? ` ${filename}` : ''}: ${error.message}`)
+    }
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      throw new Error('Invalid manifest: the top level must be an object')
+    }
+    return manifest
+  }
+
+  /**
+   * serialize_the_manifest
+   * @param {Object} manifest - manifest_object
+   * @param {string} format - yaml or json
+   * @returns {string} manifest_content
+   */
+  stringify(manifest, format = 'yaml') {
+    if (format === 'json') {
+      return JSON.stringify(manifest, null, 2) + '\n'
+    }
+    return yaml.dump(manifest, { lineWidth: -1, noRefs: true })
+  }
+
+  /**
+   * restore_the_editor_configuration_from_the_manifest
+   * @param {Object} manifest - manifest_object
+   * @param {Function} resolveFile - (relativePath) => Promise<File>，read_the_referenced_asset_files
+   * @returns {Promise<Object>} editor_configuration
+   */
+  async createConfig(manifest, resolveFile) {
+    const errors = this.validate(manifest)
+    if (errors.length > 0) {
+      const error = new Error(`Invalid manifest:\n${this.formatErrors(errors).join('\n')}`)
+      error.errors = errors
+      throw error
+    }
+
+    const theme = manifest.theme || {}
+    const config = {
+      chip: {
+        model: manifest.chip.model,
+        display: {
+          width: manifest.chip.display.width,
+          height: manifest.chip.display.height,
+          color: manifest.chip.display.color || 'RGB565'
+        }
+      },
+      theme: {
+        wakeword: theme.wakeword || '',
+        font: {
+          type: theme.font?.type || 'none',
+          preset: theme.font?.preset || '',
+          custom: {
+            file: null,
+            size: 20,
+            bpp: 4,
+            charset: 'deepseek',
+            compress: false,
+            kerning: false,
+            fallbacks: [],
+            ...(theme.font?.custom || {}),
+            icons: {
+              type: theme.font?.custom?.icons?.type || 'none',
+              preset: theme.font?.custom?.icons?.preset || '',
+              file: null,
+              range: theme.font?.custom?.icons?.range || ''
+            }
+          }
+        },
+        emoji: {
+          type: theme.emoji?.type || 'none',
+          preset: theme.emoji?.preset || '',
+          custom: {
+            size: { width: 160, height: 120, ...(theme.emoji?.custom?.size || {}) },
+            images: {},
+            fileMap: {},
+            emotionMap: {}
+          }
+        },
+        skin: {
+          light: {
+            backgroundType: 'color',
+            backgroundColor: '#ffffff',
+            textColor: '#000000',
+            backgroundImage: null,
+            ...(theme.skin?.light || {})
+          },
+          dark: {
+            backgroundType: 'color',
+            backgroundColor: '#121212',
+            textColor: '#ffffff',
+            backgroundImage: null,
+            ...(theme.skin?.dark || {})
+          }
+        }
+      }
+    }
+    if (manifest.chip.display.monochrome !== undefined) {
+      config.chip.display.monochrome = manifest.chip.display.monochrome
+    }
+    if (theme.emoji?.imageFormat) {
+      config.theme.emoji.imageFormat = theme.emoji.imageFormat
+    }
+    for (const key of ['gifLossy', 'gifLevel']) {
+      if (theme.emoji?.custom?.[key] !== undefined) {
+        config.theme.emoji.custom[key] = theme.emoji.custom[key]
+      }
+    }
+    if (theme.emoji?.custom?.emotions) {
+      config.theme.emoji.custom.emotions = theme.emoji.custom.emotions.map(emotion => ({ ...emotion }))
+    }
+    if (theme.emoji?.custom?.fit) {
+      config.theme.emoji.custom.fit = theme.emoji.custom.fit
+    }
+    if (theme.emoji?.custom?.sizes) {
+      config.theme.emoji.custom.sizes = this.copySizes(theme.emoji.custom.sizes)
+    }
+    for (const key of ['dither', 'compress']) {
+      if (theme.skin?.[key]) {
+        config.theme.skin[key] = theme.skin[key]
+      }
+    }
+
+    // read_the_referenced_files，the_same_path_is_only_read_once
+    const loaded = new Map()
+    const load = async (filePath) => {
+      if (!loaded.has(filePath)) {
+        loaded.set(filePath, await resolveFile(filePath))
+      }
+      return loaded.get(filePath)
+    }
+
+    if (config.theme.font.type === 'custom') {
+      config.theme.font.custom.file = await load(theme.font.custom.file)
+      // the_id_names_the_stored_file_of_each_fallback
+      const fallbacks = []
+      for (const [index, fallback] of (theme.font.custom.fallbacks || []).entries()) {
+        fallbacks.push({
+          id: `fallback_${index + 1}`,
+          file: await load(fallback.file),
+          charset: fallback.charset || '',
+          symbols: fallback.symbols || '',
+          range: fallback.range || ''
+        })
+      }
+      config.theme.font.custom.fallbacks = fallbacks
+      if (config.theme.font.custom.icons.type === 'custom') {
+        config.theme.font.custom.icons.file = await load(theme.font.custom.icons.file)
+      }
+    }
+
+    if (config.theme.emoji.type === 'custom') {
+      const custom = config.theme.emoji.custom
+      for (const [emotion, filePath] of Object.entries(theme.emoji.custom.images || {})) {
+        const file = await load(filePath)
+        const hash = await this.calculateHash(file)
+        if (!custom.fileMap[hash]) {
+          custom.fileMap[hash] = file
+        }
+        custom.emotionMap[emotion] = hash
+        custom.images[emotion] = custom.fileMap[hash]
+      }
+    }
+
+    for (const mode of ['light', 'dark']) {
+      const skin = config.theme.skin[mode]
+      if (skin.backgroundType === 'image') {
+        skin.backgroundImage = await load(skin.backgroundImage)
+      } else {
+        skin.backgroundImage = null
+      }
+    }
+
+    return config
+  }
+
+  /**
+   * calculate_file SHA-256 hash（consistent_with_the_emoticon_configuration_page）
+   * @param {File|Blob} file - file_object
+   * @returns {Promise<string>} hexadecimal hash
+   */
+  async calculateHash(file) {
+    const buffer = await file.arrayBuffer()
+    const hashBuffer = await crypto.subtle.digest('SHA-256', buffer)
+    const hashArray = Array.from(new Uint8Array(hashBuffer))
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * guess_the_file_type_by_the_extension
+   * @param {string} filename - file_name
+   * @returns {string} MIME type
+   */
+  getMimeType(filename) {
+    const ext = filename.split('.').pop().toLowerCase()
+    return MIME_TYPES[ext] || 'application/octet-stream'
+  }
+}
+
+const themeManifest = new ThemeManifest()
+
+export default themeManifest
+export { ThemeManifest, MANIFEST_VERSION }
@@ -0,0 +1,285 @@
+/**
+ * theme_manifest JSON Schema (draft-07)
+ * describe_the_manifest_file_of_a_theme（theme.yaml / theme.json），
+ * asset_files_are_referenced_by_paths_relative_to_the_manifest_file
+ *
+ * the_command_line_tool_can_print_this_schema：xiaozhi-assets schema
+ */
+
+import { COLOR_FORMATS, DITHER_METHODS } from './LvglImage.js'
+import { COMPRESS_METHODS } from './ImageCompressor.js'
+import { FIT_MODES, MAX_FIT_ZOOM } from './ImageProcessor.js'
+import { EMOJI_FORMATS, EMOJI_FIT_MODES } from './EmojiConverter.js'
+import { EMOTION_KEY_PATTERN, MAX_EMOTION_KEY_LENGTH } from './EmotionRegistry.js'
+
+const colorPattern = '^#[0-9a-fA-F]{6}$'
+
+const assetPath = {
+  type: 'string',
+  minLength: 1,
+  description: 'Path of the asset file, relative to the manifest'
+}
+
+const dimension = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 65535
+}
+
+const skinMode = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['backgroundType'],
+  properties: {
+    backgroundType: { enum: ['color', 'image'] },
+    backgroundColor: { type: 'string', pattern: colorPattern },
+    textColor: { type: 'string', pattern: colorPattern },
+    backgroundImage: { ...assetPath, type: ['string', 'null'] },
+    fit: {
+      type: 'object',
+      additionalProperties: false,
+      description: 'How the background image is fitted to the display, cover by default',
+      properties: {
+        mode: { enum: FIT_MODES },
+        fillColor: { type: 'string', pattern: colorPattern },
+        zoom: { type: 'number', minimum: 1, maximum: MAX_FIT_ZOOM },
+        centerX: { type: 'number', minimum: 0, maximum: 1 },
+        centerY: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  },
+  if: { properties: { backgroundType: { const: 'image' } } },
+  then: { required: ['backgroundImage'], properties: { backgroundImage: assetPath } }
+}
+
+const themeManifestSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Xiaozhi AI theme manifest',
+  description: 'Declarative description of an assets.bin theme',
+  type: 'object',
+  additionalProperties: false,
+  required: ['version', 'chip', 'theme'],
+  properties: {
+    $schema: { type: 'string' },
+    version: {
+      const: 1,
+      description: 'Manifest format version'
+    },
+    chip: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['model', 'display'],
+      properties: {
+        model: { type: 'string', minLength: 1 },
+        display: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['width', 'height'],
+          properties: {
+            width: dimension,
+            height: dimension,
+            monochrome: { type: 'boolean' },
+            color: {
+              enum: Object.keys(COLOR_FORMATS),
+              description: 'LVGL color format of the display, used for background images'
+            }
+          }
+        }
+      }
+    },
+    theme: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        wakeword: {
+          type: 'string',
+          description: 'Wake word model name, empty for none'
+        },
+        font: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['type'],
+          properties: {
+            type: { enum: ['none', 'preset', 'custom'] },
+            preset: { type: 'string' },
+            custom: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                file: { ...assetPath, type: ['string', 'null'] },
+                size: { type: 'integer', minimum: 8, maximum: 80 },
+                bpp: { enum: [1, 2, 4] },
+                charset: {
+                  enum: ['deepseek', 'gb2312', 'latin', 'custom'],
+                  description: 'Base charset; custom uses only symbols and range (e.g. a charset built from the app strings)'
+                },
+                symbols: { type: 'string' },
+                range: { type: 'string' },
+                compress: {
+                  type: 'boolean',
+                  description: 'RLE-compress glyph bitmaps (firmware needs LV_USE_FONT_COMPRESSED), ignored for bpp 1'
+                },
+                kerning: {
+                  type: 'boolean',
+                  description: 'Write a kerning table (pair or class format, whichever is smaller)'
+                },
+                fallbacks: {
+                  type: 'array',
+                  description: 'More fonts merged into the converted font, in priority order after the main font',
+                  items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['file'],
+                    properties: {
+                      file: assetPath,
+                      charset: { enum: ['deepseek', 'gb2312', 'latin'] },
+                      symbols: { type: 'string' },
+                      range: { type: 'string' }
+                    }
+                  }
+                },
+                icons: {
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['type'],
+                  description: 'Icon font merged into the converted font, range picks the icons (0xF1EB, 0xF240-0xF244, 0x61=>0xF1EB maps to another code point)',
+                  properties: {
+                    type: { enum: ['none', 'preset', 'custom'] },
+                    preset: { type: 'string', description: 'Bundled icon font, e.g. fontawesome5' },
+                    file: assetPath,
+                    range: { type: 'string' }
+                  },
+                  allOf: [
+                    {
+                      if: { properties: { type: { const: 'preset' } } },
+                      then: { required: ['preset', 'range'], properties: { preset: { minLength: 1 } } }
+                    },
+                    {
+                      if: { properties: { type: { const: 'custom' } } },
+                      then: { required: ['file', 'range'] }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          allOf: [
+            {
+              if: { properties: { type: { const: 'preset' } } },
+              then: { required: ['preset'], properties: { preset: { type: 'string', minLength: 1 } } }
+            },
+            {
+              if: { properties: { type: { const: 'custom' } } },
+              then: {
+                required: ['custom'],
+                properties: { custom: { required: ['file', 'size', 'bpp', 'charset'], properties: { file: assetPath } } }
+              }
+            }
+          ]
+        },
+        emoji: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['type'],
+          properties: {
+            type: { enum: ['none', 'preset', 'custom'] },
+            preset: { type: 'string', description: 'Preset pack directory listed in static/emoji_packs.json (e.g. twemoji32)' },
+            imageFormat: {
+              enum: EMOJI_FORMATS,
+              description: 'Pack emojis as PNG/GIF (original, default) or LVGL native images; auto converts on slow chips (esp32c3, esp32c6). Native images need firmware that reads .bin/.anim emojis'
+            },
+            custom: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                size: {
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['width', 'height'],
+                  properties: {
+                    width: dimension,
+                    height: dimension
+                  }
+                },
+                fit: {
+                  enum: EMOJI_FIT_MODES,
+                  description: 'How images that do not match the size are placed: contain (scale down only), cover (fill and crop) or pad (scale down and center on a transparent canvas)'
+                },
+                sizes: {
+                  type: 'object',
+                  description: 'Per-emotion size overrides, e.g. a larger neutral face',
+                  additionalProperties: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['width', 'height'],
+                    properties: {
+                      width: dimension,
+                      height: dimension,
+                      fit: { enum: EMOJI_FIT_MODES }
+                    }
+                  }
+                },
+                images: {
+                  type: 'object',
+                  description: 'Emotion name to image path',
+                  additionalProperties: assetPath
+                },
+                emotions: {
+                  type: 'array',
+                  description: 'Custom emotions added to the built-in ones (e.g. listening, speaking)',
+                  items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['key'],
+                    properties: {
+                      key: { type: 'string', pattern: EMOTION_KEY_PATTERN, maxLength: MAX_EMOTION_KEY_LENGTH },
+                      emoji: { type: 'string', description: 'Character shown in the editor' }
+                    }
+                  }
+                },
+                gifLossy: {
+                  type: 'integer',
+                  minimum: 0,
+                  maximum: 200,
+                  description: 'gifsicle --lossy level for GIF emojis'
+                },
+                gifLevel: {
+                  enum: [1, 2, 3],
+                  description: 'gifsicle optimization level for GIF emojis'
+                }
+              }
+            }
+          },
+          allOf: [
+            {
+              if: { properties: { type: { const: 'preset' } } },
+              then: { required: ['preset'], properties: { preset: { type: 'string', minLength: 1 } } }
+            },
+            {
+              if: { properties: { type: { const: 'custom' } } },
+              then: { required: ['custom'], properties: { custom: { required: ['size', 'images'] } } }
+            }
+          ]
+        },
+        skin: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            light: skinMode,
+            dark: skinMode,
+            dither: {
+              enum: DITHER_METHODS,
+              description: 'Dithering used when converting background images to the display color format'
+            },
+            compress: {
+              enum: Object.keys(COMPRESS_METHODS),
+              description: 'LVGL compression of background images (rle or lz4), none by default'
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+export default themeManifestSchema
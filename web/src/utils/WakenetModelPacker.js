@@ -33,6 +33,8 @@
  * }
 */
 
+import { getPlatform } from './platform/index.js'
+
 class WakenetModelPacker {
   constructor() {
     this.models = new Map()
@@ -69,14 +71,9 @@ class WakenetModelPacker {
       let loadedFiles = 0
       for (const fileName of modelFiles) {
         try {
-          const response = await fetch(`./static/wakenet_model/${modelName}/${fileName}`)
-          if (response.ok) {
-            const fileData = await response.arrayBuffer()
-            this.addModelFile(modelName, fileName, fileData)
-            loadedFiles++
-          } else {
-            console.warn(`unable_to_load_file: ${fileName}, status: ${response.status}`)
-          }
+          const fileData = await getPlatform().loadStatic(`wakenet_model/${modelName}/${fileName}`)
+          this.addModelFile(modelName, fileName, fileData)
+          loadedFiles++
         } catch (error) {
           console.warn(`failed_to_load_file: ${fileName}`, error)
         }
@@ -215,6 +212,60 @@ class WakenetModelPacker {
     return output.buffer
   }
 
+  /**
+   * parse srmodels.bin，packModels reverse_operation
+   * @param {ArrayBuffer} buffer - srmodels.bin data
+   * @returns {Array} model_list [{name, files: [{name, start, length}]}]
+   */
+  static unpackModels(buffer) {
+    const view = new DataView(buffer)
+    const bytes = new Uint8Array(buffer)
+
+    // read_zeropadded_ascii_strings
+    const readString = (offset, maxLen) => {
+      let result = ''
+      for (let i = 0; i < maxLen && bytes[offset + i] !== 0; i++) {
+        result += String.fromCharCode(bytes[offset + i])
+      }
+      return result
+    }
+
+    if (buffer.byteLength < 4) {
+      throw new Error('srmodels.bin 数据不完整')
+    }
+
+    const modelNum = view.getUint32(0, true)
+    const models = []
+    let offset = 4
+
+    for (let i = 0; i < modelNum; i++) {
+      if (offset + 36 > buffer.byteLength) {
+        throw new Error('srmodels.bin 模型信息头超出数据范围')
+      }
+
+      const name = readString(offset, 32)
+      const fileNum = view.getUint32(offset + 32, true)
+      offset += 36
+
+      const files = []
+      for (let j = 0; j < fileNum; j++) {
+        if (offset + 40 > buffer.byteLength) {
+          throw new Error('srmodels.bin 文件信息超出数据范围')
+        }
+        files.push({
+          name: readString(offset, 32),
+          start: view.getUint32(offset + 32, true),
+          length: view.getUint32(offset + 36, true)
+        })
+        offset += 40
+      }
+
+      models.push({ name, files })
+    }
+
+    return models
+  }
+
   /**
    * get_a_list_of_available_models
    * @returns {Promise<Array>} model_list
@@ -7,9 +7,10 @@
  * - keep_aspect_ratio
  * - GIF optimize_compression
  * - multiple_zoom_modes
+ * - frame_editing（trim、reorder、delays、loop_count）
  */
 
-import gifsicle from 'gifsicle-wasm-browser'
+import { getPlatform } from './platform/index.js'
 
 class WasmGifScaler {
   constructor(options = {}) {
@@ -29,6 +30,7 @@ class WasmGifScaler {
    * @param {boolean} options.keepAspectRatio - whether_to_maintain_aspect_ratio，default true
    * @param {boolean} options.optimize - optimize_or_not，default true
    * @param {number} options.lossy - lossy compression_quality (1-200)，use_instance_configuration_by_default
+   * @param {number} options.level - optimization_level (1-3)，use_instance_configuration_by_default
    * @param {number} options.loopCount - number_of_cycles，0 indicates_infinite_loop（default），-1 means_to_keep_it_as_it_is
    * @returns {Promise<Blob>} scaled GIF Blob
    */
@@ -39,6 +41,7 @@ class WasmGifScaler {
       keepAspectRatio = true,
       optimize = this.optimize,
       lossy = this.quality,
+      level = this.optimizationLevel,
       loopCount = 0  // default_infinite_loop
     } = options
 
@@ -82,7 +85,7 @@ class WasmGifScaler {
       
       // add_optimization
       if (optimize) {
-        commandParts.push(`-O${this.optimizationLevel}`)
+        commandParts.push(`-O${level}`)
       }
       
       // input_and_output
@@ -90,6 +93,7 @@ class WasmGifScaler {
       commandParts.push('-o /out/output.gif')
       
       const command = commandParts.join(' ')
+      this.lastCommand = command // record_for_the_build_manifest
       
       if (this.debug) {
         console.log('GIF 缩放命令:', command)
@@ -97,7 +101,7 @@ class WasmGifScaler {
       }
 
       // call gifsicle
-      const result = await gifsicle.run({
+      const result = await getPlatform().runGifsicle({
         input: [{
           file: gifFile,
           name: '1.gif'
@@ -184,12 +188,13 @@ class WasmGifScaler {
       commandParts.push('-o /out/output.gif')
       
       const command = commandParts.join(' ')
+      this.lastCommand = command // record_for_the_build_manifest
       
       if (this.debug) {
         console.log('GIF 优化命令:', command)
       }
 
-      const result = await gifsicle.run({
+      const result = await getPlatform().runGifsicle({
         input: [{
           file: gifFile,
           name: '1.gif'
@@ -216,7 +221,7 @@ class WasmGifScaler {
    */
   async getGifInfo(gifFile) {
     try {
-      const result = await gifsicle.run({
+      const result = await getPlatform().runGifsicle({
         input: [{
           file: gifFile,
           name: '1.gif'
@@ -317,7 +322,7 @@ class WasmGifScaler {
         console.log('GIF 裁剪命令:', command)
       }
 
-      const result = await gifsicle.run({
+      const result = await getPlatform().runGifsicle({
         input: [{
           file: gifFile,
           name: '1.gif'
@@ -337,6 +342,160 @@ class WasmGifScaler {
     }
   }
 
+  /**
+   * fill_the_target_size_exactly，the_part_outside_the_target_aspect_ratio_is_cropped（cover，centered）
+   * @param {File|Blob|ArrayBuffer} gifFile - GIF document
+   * @param {Object} options - {width, height, sourceWidth, sourceHeight, lossy, level}
+   * @returns {Promise<Blob>} GIF Blob of width x height
+   */
+  async coverGif(gifFile, options = {}) {
+    const {
+      width,
+      height,
+      sourceWidth,
+      sourceHeight,
+      lossy = this.quality,
+      level = this.optimizationLevel
+    } = options
+
+    // the_largest_centered_rectangle_with_the_target_aspect_ratio
+    const scale = Math.max(width / sourceWidth, height / sourceHeight)
+    const cropWidth = Math.min(sourceWidth, Math.round(width / scale))
+    const cropHeight = Math.min(sourceHeight, Math.round(height / scale))
+    const x = Math.floor((sourceWidth - cropWidth) / 2)
+    const y = Math.floor((sourceHeight - cropHeight) / 2)
+
+    const commandParts = ['-U', `--crop ${x},${y}+${cropWidth}x${cropHeight}`, `--resize ${width}x${height}`]
+    if (lossy && lossy > 0) {
+      commandParts.push(`--lossy=${lossy}`)
+    }
+    commandParts.push(`-O${level}`, '1.gif', '-o /out/output.gif')
+
+    return await this.runCommand(gifFile, commandParts.join(' '), 'cover')
+  }
+
+  /**
+   * center_the_gif_on_a_transparent_canvas_of_the_target_size（pad），the_gif_must_not_be_larger_than_the_target
+   * @param {File|Blob|ArrayBuffer} gifFile - GIF document
+   * @param {Object} options - {width, height, sourceWidth, sourceHeight, level}
+   * @returns {Promise<Blob>} GIF Blob of width x height
+   */
+  async padGif(gifFile, options = {}) {
+    const {
+      width,
+      height,
+      sourceWidth,
+      sourceHeight,
+      level = this.optimizationLevel
+    } = options
+
+    if (sourceWidth > width || sourceHeight > height) {
+      throw new Error(`GIF ${sourceWidth}x${sourceHeight} is larger than ${width}x${height}, scale it first`)
+    }
+
+    const x = Math.floor((width - sourceWidth) / 2)
+    const y = Math.floor((height - sourceHeight) / 2)
+    const command = ['-U', `--logical-screen ${width}x${height}`, `--position ${x},${y}`, `-O${level}`, '1.gif', '-o /out/output.gif'].join(' ')
+
+    return await this.runCommand(gifFile, command, 'pad')
+  }
+
+  /**
+   * run_a_single gifsicle command_with_one_input（1.gif）and_one_output
+   * @param {File|Blob|ArrayBuffer} gifFile - GIF document
+   * @param {string} command - gifsicle command
+   * @param {string} action - name_used_in_error_messages
+   * @returns {Promise<Blob>} GIF Blob
+   */
+  async runCommand(gifFile, command, action) {
+    this.lastCommand = command // record_for_the_build_manifest
+
+    if (this.debug) {
+      console.log(`GIF ${action} 命令:`, command)
+    }
+
+    try {
+      const result = await getPlatform().runGifsicle({
+        input: [{
+          file: gifFile,
+          name: '1.gif'
+        }],
+        command: [command]
+      })
+
+      if (!result || result.length === 0) {
+        throw new Error('gifsicle returned no output')
+      }
+
+      return new Blob([result[0]], { type: 'image/gif' })
+    } catch (error) {
+      console.error(`GIF ${action} 失败:`, error)
+      throw new Error(`GIF ${action} failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * edit GIF frames（select_and_reorder_frames、change_delays、loop_count）
+   * crop_with cropGif，compress_with optimizeGif
+   * @param {File|Blob|ArrayBuffer} gifFile - GIF document
+   * @param {Object} options - editing_options
+   * @param {Array} options.frames - output_frames_in_order [{index, delay}]，index is_the_source_frame，delay_in_milliseconds
+   * @param {number} options.loopCount - number_of_plays，0 indicates_infinite_loop，1 plays_once
+   * @returns {Promise<Blob>} edited GIF Blob
+   */
+  async editGif(gifFile, options = {}) {
+    const {
+      frames = [],
+      loopCount = 0
+    } = options
+
+    if (frames.length === 0) {
+      throw new Error('至少需要保留一帧')
+    }
+
+    try {
+      const commandParts = ['-U']
+
+      // gifsicle of loopcount is_the_number_of_repeats_stored_in_the_file，1 means_no_loop_extension
+      commandParts.push(loopCount === 1 ? '--no-loopcount' : `--loopcount=${loopCount}`)
+
+      commandParts.push('1.gif')
+
+      // frame_selection：each_frame_is_preceded_by_its_delay（unit_is_1/100_second）
+      for (const frame of frames) {
+        commandParts.push(`-d ${Math.max(1, Math.round(frame.delay / 10))}`)
+        commandParts.push(`#${frame.index}`)
+      }
+
+      commandParts.push('-o /out/output.gif')
+
+      const command = commandParts.join(' ')
+      this.lastCommand = command // record_for_the_build_manifest
+
+      if (this.debug) {
+        console.log('GIF 编辑命令:', command)
+      }
+
+      const result = await getPlatform().runGifsicle({
+        input: [{
+          file: gifFile,
+          name: '1.gif'
+        }],
+        command: [command]
+      })
+
+      if (!result || result.length === 0) {
+        throw new Error('gifsicle 编辑失败')
+      }
+
+      return new Blob([result[0]], { type: 'image/gif' })
+
+    } catch (error) {
+      console.error('GIF 编辑失败:', error)
+      throw new Error(`GIF editing_failed: ${error.message}`)
+    }
+  }
+
   /**
    * clean_up_resources
    */
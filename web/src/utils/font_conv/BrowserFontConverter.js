@@ -4,15 +4,26 @@
  */
 
 import opentype from 'opentype.js'
-import collect_font_data from './CollectFontData.js'
+import collect_font_data, { collect_kerning } from './CollectFontData.js'
 import AppError from './AppError.js'
 import write_cbin from './writers/CBinWriter.js'
+import CBinFont from './writers/CBinFont.js'
+import { getPlatform } from '../platform/index.js'
+
+// glyph_bitmap_format_in_the_font_header（lv_font_fmt_txt_bitmap_format_t）
+const FONT_COMPRESSION_NONE = 0
+const FONT_COMPRESSION_RLE = 1 // RLE with XOR line_prefilter
+const FONT_COMPRESSION_RLE_NO_PREFILTER = 2
+
+// parsed_fonts_kept_for_the_kerning_estimate（the_main_font_and_a_few_fallbacks）
+const OPENTYPE_CACHE_SIZE = 4
 
 class BrowserFontConverter {
   constructor() {
     this.initialized = false
     this.supportedFormats = ['ttf', 'woff', 'woff2', 'otf']
     this.charsetCache = new Map() // cache_loaded_character_sets
+    this.opentypeCache = new Map() // the_last_fonts_parsed_with opentype.js
   }
 
   /**
@@ -127,14 +138,21 @@ class BrowserFontConverter {
       symbols = '',
       range = '',
       compression = false,
+      kerning = false,
       lcd = false,
       lcd_v = false,
+      fallbacks = [],
       progressCallback = null
     } = options
 
     if (!this.validateFont(fontFile)) {
       throw new AppError('不支持的字体文件格式')
     }
+    for (const fallback of fallbacks) {
+      if (!this.validateFont(fallback.fontFile)) {
+        throw new AppError(`不支持的字体文件格式: ${fallback.fontFile?.name || fallback.fontName}`)
+      }
+    }
 
     try {
       if (progressCallback) progressCallback(0, 'Starting font processing...')
@@ -151,6 +169,9 @@ class BrowserFontConverter {
 
       // build_character_ranges_and_symbols（support_for_loading_character_sets_from_files_using_the_asynchronous_version）
       const { ranges, charSymbols } = await this.parseCharacterInputAsync(charset, symbols, range)
+      if (ranges.length === 0 && !charSymbols && fallbacks.length === 0) {
+        throw new AppError('No characters to convert: choose a charset or give symbols or a range')
+      }
 
       if (progressCallback) progressCallback(20, 'Preparing conversion parameters...')
 
@@ -171,12 +192,21 @@ class BrowserFontConverter {
         lcd: lcd,
         lcd_v: lcd_v,
         no_compress: !compression,
-        no_kerning: false,
+        no_kerning: !kerning,
         use_color_info: false,
         format: 'cbin',
         output: fontName || 'font'
       }
 
+      // several_sources：every_code_point_is_assigned_to_one_font_before_collecting
+      if (fallbacks.length > 0) {
+        if (progressCallback) progressCallback(25, 'Resolving font fallbacks...')
+        convertArgs.font = await this.buildFallbackFonts(
+          { fontFile, fontName: convertArgs.font[0].source_path, charset, symbols, range },
+          fallbacks
+        )
+      }
+
       if (progressCallback) progressCallback(30, 'Collecting font data...')
 
       // collect_font_data
@@ -246,9 +276,9 @@ class BrowserFontConverter {
    */
   async loadCharsetFromFile(charset) {
     const charsetFiles = {
-      latin: './static/charsets/latin1.txt',
-      deepseek: './static/charsets/deepseek.txt',
-      gb2312: './static/charsets/gb2312.txt'
+      latin: 'charsets/latin1.txt',
+      deepseek: 'charsets/deepseek.txt',
+      gb2312: 'charsets/gb2312.txt'
     }
     
     const filePath = charsetFiles[charset]
@@ -257,12 +287,7 @@ class BrowserFontConverter {
     }
     
     try {
-      const response = await fetch(filePath)
-      if (!response.ok) {
-        throw new Error(`Failed to load charset file: ${response.status}`)
-      }
-      
-      const text = await response.text()
+      const text = await getPlatform().loadStaticText(filePath)
       // concatenate_the_characters_of_each_line_into_a_string，keep_all_characters（include_whitespace_characters）
       const characters = text.split('\n').join('')
       
@@ -323,6 +348,7 @@ class BrowserFontConverter {
 
   /**
    * parse Unicode range_string
+   * the_same_syntax_as lv_font_conv -r：0xF000、0xF000-0xF0FF，`=>` maps_to_other_code_points（0x61=>0xF1EB、0x61-0x7A=>0xE000）
    */
   parseUnicodeRange(rangeStr) {
     const ranges = []
@@ -331,19 +357,23 @@ class BrowserFontConverter {
     for (const part of parts) {
       const trimmed = part.trim()
       if (!trimmed) continue
+
+      const [source, mapped] = trimmed.split('=>')
       
-      if (trimmed.includes('-')) {
-        const [start, end] = trimmed.split('-')
+      if (source.includes('-')) {
+        const [start, end] = source.split('-')
         const startCode = this.parseHexOrDec(start)
         const endCode = this.parseHexOrDec(end)
+        const mappedCode = mapped === undefined ? startCode : this.parseHexOrDec(mapped)
         
-        if (startCode !== null && endCode !== null) {
-          ranges.push(startCode, endCode, startCode)
+        if (startCode !== null && endCode !== null && mappedCode !== null) {
+          ranges.push(startCode, endCode, mappedCode)
         }
       } else {
-        const code = this.parseHexOrDec(trimmed)
-        if (code !== null) {
-          ranges.push(code, code, code)
+        const code = this.parseHexOrDec(source)
+        const mappedCode = mapped === undefined ? code : this.parseHexOrDec(mapped)
+        if (code !== null && mappedCode !== null) {
+          ranges.push(code, code, mappedCode)
         }
       }
     }
@@ -351,6 +381,24 @@ class BrowserFontConverter {
     return ranges
   }
 
+  /**
+   * write_characters_as_a Unicode range_string（the_reverse_of parseUnicodeRange）
+   * @param {Array<Array<number>>} chars - [[dst_code, src_code]]
+   * @returns {string} for_example 0xF240-0xF244,0x61=>0xF1EB
+   */
+  formatUnicodeRange(chars) {
+    const hex = code => `0x${code.toString(16).toUpperCase()}`
+    const ranges = this.toRangeList([...chars].sort((a, b) => a[0] - b[0]))
+    const parts = []
+    for (let i = 0; i < ranges.length; i += 3) {
+      const [start, end, mapped] = ranges.slice(i, i + 3)
+      let part = start === end ? hex(start) : `${hex(start)}-${hex(end)}`
+      if (mapped !== start) part += `=>${hex(mapped)}`
+      parts.push(part)
+    }
+    return parts.join(',')
+  }
+
   /**
    * parse_hexadecimal_or_decimal_numbers
    */
@@ -440,6 +488,203 @@ class BrowserFontConverter {
     }
   }
 
+  /**
+   * the_font_list_for collect_font_data when_several_sources_are_merged
+   * the_ranges_are_rewritten_so_that_no_code_point_is_requested_from_two_fonts
+   * @param {Object} main - {fontFile, fontName, charset, symbols, range}
+   * @param {Array<Object>} fallbacks - [{fontFile, fontName, charset, symbols, range}]，in_priority_order
+   * @returns {Promise<Array<Object>>} args.font
+   */
+  async buildFallbackFonts(main, fallbacks) {
+    const resolved = await this.resolveFontSources([main, ...fallbacks])
+    const used = new Set()
+    const fonts = []
+
+    for (const [index, { source, chars }] of resolved.entries()) {
+      // the_main_font_is_always_kept，it_provides_the_line_metrics
+      if (index > 0 && chars.length === 0) {
+        console.warn(`Fallback font ${source.fontName} adds no characters, all of them are taken by earlier fonts`)
+        continue
+      }
+
+      let sourcePath = source.fontName || source.fontFile?.name || `fallback_${index}`
+      if (used.has(sourcePath)) sourcePath = `${sourcePath} (${index + 1})`
+      used.add(sourcePath)
+
+      fonts.push({
+        source_path: sourcePath,
+        source_bin: source.fontFile instanceof File ? await source.fontFile.arrayBuffer() : source.fontFile,
+        ranges: chars.length ? [{ range: this.toRangeList(chars) }] : [],
+        autohint_off: false,
+        autohint_strong: false
+      })
+    }
+
+    return fonts
+  }
+
+  /**
+   * assign_every_requested_code_point_to_a_font
+   * a_code_point_goes_to_the_first_source_that_has_a_glyph_for_it，so_the_order_of_the_sources_is_their_priority
+   * @param {Array<Object>} sources - [{fontFile, fontName, charset, symbols, range}]
+   * @returns {Promise<Array<Object>>} [{source, font, chars: [[dst_code, src_code]]}]
+   */
+  async resolveFontSources(sources) {
+    const claimed = new Set()
+    const resolved = []
+
+    for (const source of sources) {
+      const font = await this.parseOpentype(source.fontFile)
+      const { ranges, charSymbols } = await this.parseCharacterInputAsync(source.charset, source.symbols, source.range)
+      const requested = this.mapCharacters(ranges, charSymbols)
+      const chars = []
+      let found = false
+
+      for (const [dst, src] of requested) {
+        if (!(font.charToGlyphIndex(String.fromCodePoint(src)) > 0)) continue
+        found = true
+        if (claimed.has(dst)) continue
+        claimed.add(dst)
+        chars.push([dst, src])
+      }
+
+      if (requested.size > 0 && !found) {
+        const name = source.fontName || source.fontFile?.name || 'font'
+        throw new AppError(`Font "${name}" doesn't have any of the requested characters`)
+      }
+
+      resolved.push({ source, font, chars: chars.sort((a, b) => a[0] - b[0]) })
+    }
+
+    return resolved
+  }
+
+  /**
+   * requested_characters_as dst_code -> src_code，the_same_as Ranger（later_entries_win）
+   * @param {Array<number>} ranges - [start, end, mapped_start, ...]
+   * @param {string} charSymbols - symbols
+   * @returns {Map<number, number>} characters
+   */
+  mapCharacters(ranges, charSymbols) {
+    const chars = new Map()
+    for (let i = 0; i < ranges.length; i += 3) {
+      for (let code = ranges[i]; code <= ranges[i + 1]; code++) {
+        chars.set(code - ranges[i] + ranges[i + 2], code)
+      }
+    }
+    for (const symbol of charSymbols) {
+      const code = symbol.codePointAt(0)
+      chars.set(code, code)
+    }
+    return chars
+  }
+
+  /**
+   * [[dst_code, src_code]] -> Ranger ranges，consecutive_code_points_share_one_range
+   * @param {Array<Array<number>>} chars - characters_sorted_by dst_code
+   * @returns {Array<number>} [start, end, mapped_start, ...]
+   */
+  toRangeList(chars) {
+    const ranges = []
+    for (const [dst, src] of chars) {
+      const last = ranges.length - 3
+      if (last >= 0 && ranges[last + 1] === src - 1 && ranges[last + 2] + (src - ranges[last]) === dst) {
+        ranges[last + 1] = src
+      } else {
+        ranges.push(src, src, dst)
+      }
+    }
+    return ranges
+  }
+
+  /**
+   * estimate_the_kerning_table（pairs_are_read_with opentype.js，glyphs_are_not_rendered）
+   * kerning_is_only_collected_between_glyphs_of_the_same_font
+   * @param {Object} options - fontFile、fontSize、charset、symbols、range、fallbacks
+   * @returns {Promise<Object>} {format: pairs|classes|null, pairCount, size, pairsSize, classesSize}
+   */
+  async estimateKerningAsync(options) {
+    const { fontFile, fontSize = 20, charset = 'deepseek', symbols = '', range = '', fallbacks = [] } = options
+
+    const resolved = await this.resolveFontSources([{ fontFile, charset, symbols, range }, ...fallbacks])
+    const glyphs = []
+    for (const { font, chars } of resolved) {
+      const kerning = collect_kerning(font, chars, fontSize)
+      glyphs.push(...chars.map(([code]) => ({ code, kerning: kerning[code] || {} })))
+    }
+    glyphs.sort((a, b) => a.code - b.code)
+
+    return new CBinFont({ glyphs }, { bpp: 4 }).kern.describe(4)
+  }
+
+  /**
+   * parse_a_font_with opentype.js（the_last_few_files_are_cached，the_estimate_runs_on_every_option_change）
+   */
+  async parseOpentype(fontFile) {
+    let font = this.opentypeCache.get(fontFile)
+    if (!font) {
+      const buffer = fontFile instanceof ArrayBuffer ? fontFile : await fontFile.arrayBuffer()
+      font = opentype.parse(buffer)
+      if (this.opentypeCache.size >= OPENTYPE_CACHE_SIZE) {
+        this.opentypeCache.delete(this.opentypeCache.keys().next().value)
+      }
+    } else {
+      this.opentypeCache.delete(fontFile)
+    }
+    this.opentypeCache.set(fontFile, font)
+    return font
+  }
+
+  /**
+   * read_the_glyph_bitmap_information_of_a_converted_font（CBinFont layout，32-bit pointers）
+   * @param {ArrayBuffer} buffer - CBIN font
+   * @returns {Object} {bpp, compression: FONT_COMPRESSION_*, glyphCount, bitmapSize, rawBitmapSize, kernFormat: pairs|classes|null, kernSize}
+   */
+  inspectCBIN(buffer) {
+    const view = new DataView(buffer)
+    // lv_font_t takes_36_bytes，lv_font_fmt_txt_dsc_t follows
+    const dscOffset = 36
+    if (buffer.byteLength < dscOffset + 24) {
+      throw new AppError('Font file is too small')
+    }
+
+    const bitmapOffset = dscOffset + view.getUint32(dscOffset, true)
+    const glyphDscOffset = dscOffset + view.getUint32(dscOffset + 4, true)
+    const cmapsOffset = dscOffset + view.getUint32(dscOffset + 8, true)
+    const flags = view.getUint16(dscOffset + 18, true)
+    const bpp = (flags >> 9) & 0xF
+    const compression = flags >> 14
+    const kernClasses = (flags >> 13) & 1
+    const hasKerning = view.getUint32(dscOffset + 12, true) !== 0
+
+    if (!(bitmapOffset <= glyphDscOffset && glyphDscOffset <= cmapsOffset && cmapsOffset <= buffer.byteLength)) {
+      throw new AppError('Invalid font table offsets')
+    }
+
+    // glyph_descriptions：16_bytes_each，index_0_is_unused
+    let glyphCount = 0
+    let rawBitmapSize = 0
+    for (let pos = glyphDscOffset + 16; pos + 16 <= cmapsOffset; pos += 16) {
+      const width = view.getUint16(pos + 8, true)
+      const height = view.getUint16(pos + 10, true)
+      if (view.getUint32(pos + 4, true) === 0 && width === 0 && height === 0) continue
+      glyphCount++
+      rawBitmapSize += Math.ceil(width * height * bpp / 8)
+    }
+
+    const align4 = size => Math.ceil(size / 4) * 4
+    return {
+      bpp,
+      compression,
+      glyphCount,
+      bitmapSize: glyphDscOffset - bitmapOffset,
+      rawBitmapSize: align4(rawBitmapSize),
+      kernFormat: hasKerning ? (kernClasses ? 'classes' : 'pairs') : null,
+      // the_kerning_table_sits_between_the_font_descriptor_and_the_bitmaps
+      kernSize: hasKerning ? bitmapOffset - (dscOffset + 24) : 0
+    }
+  }
+
   /**
    * format_byte_size
    */
@@ -459,6 +704,7 @@ class BrowserFontConverter {
   cleanup() {
     // clean_up_possible_resource_references
     this.initialized = false
+    this.opentypeCache.clear()
   }
 }
 
@@ -466,4 +712,4 @@ class BrowserFontConverter {
 const browserFontConverter = new BrowserFontConverter()
 
 export default browserFontConverter
-export { BrowserFontConverter }
+export { BrowserFontConverter, FONT_COMPRESSION_NONE, FONT_COMPRESSION_RLE, FONT_COMPRESSION_RLE_NO_PREFILTER }
@@ -127,26 +127,15 @@ export default async function collect_font_data(args) {
   }
 
   if (!args.no_kerning) {
-    let existing_dst_charcodes = glyphs.map(g => g.code)
-
-    for (let { code, kerning } of glyphs) {
-      let src_code = mapping[code].code
-      let src_font = mapping[code].font
-      let font     = fonts_opentype[src_font]
-      let glyph    = font.charToGlyph(String.fromCodePoint(src_code))
-
-      for (let dst_code2 of existing_dst_charcodes) {
-        // can't merge kerning values from 2 different fonts
-        if (mapping[dst_code2].font !== src_font) continue
-
-        let src_code2 = mapping[dst_code2].code
-        let glyph2 = font.charToGlyph(String.fromCodePoint(src_code2))
-        let krn_value = font.getKerningValue(glyph, glyph2)
-
-        if (krn_value) kerning[dst_code2] = krn_value * args.size / font.unitsPerEm
-
-        //let krn_value = ft_render.get_kerning(font, src_code, src_code2).x;
-        //if (krn_value) kerning[dst_code2] = krn_value;
+    // can't merge kerning values from 2 different fonts
+    for (let source_path of Object.keys(fonts_opentype)) {
+      let chars = glyphs
+        .filter(g => mapping[g.code].font === source_path)
+        .map(g => [ g.code, mapping[g.code].code ])
+      let kerning = collect_kerning(fonts_opentype[source_path], chars, args.size)
+
+      for (let glyph of glyphs) {
+        if (kerning[glyph.code]) glyph.kerning = kerning[glyph.code]
       }
     }
   }
@@ -172,3 +161,42 @@ export default async function collect_font_data(args) {
     underlineThickness: Math.round(post_table.underlineThickness * first_font_scale)
   }
 }
+
+// Kerning values (in pixels) between the given characters of one font
+//  - chars: [ [ dst_code, src_code ] ]
+//  - returns { dst_code: { dst_code2: value } }
+//
+// Only glyphs covered by a kerning lookup are tried as the left glyph, so
+// large CJK charsets (with kerning for latin only) don't check every pair.
+export function collect_kerning(font, chars, size) {
+  let can_kern_left = kerning_left_filter(font)
+  let glyphs = chars.map(([ dst_code, src_code ]) => [ dst_code, font.charToGlyph(String.fromCodePoint(src_code)) ])
+  let result = {}
+
+  for (let [ dst_code, glyph ] of glyphs) {
+    if (!can_kern_left(glyph.index)) continue
+
+    for (let [ dst_code2, glyph2 ] of glyphs) {
+      let krn_value = font.getKerningValue(glyph, glyph2)
+
+      if (!krn_value) continue
+      if (!result[dst_code]) result[dst_code] = {}
+      result[dst_code][dst_code2] = krn_value * size / font.unitsPerEm
+    }
+  }
+
+  return result
+}
+
+// Check if glyph can be the left glyph of a kerning pair (GPOS "kern" lookups or "kern" table)
+function kerning_left_filter(font) {
+  let lookups = font.position.defaultKerningTables
+
+  if (lookups) {
+    let subtables = lookups.flatMap(lookup => lookup.subtables)
+    return index => subtables.some(subtable => font.position.getCoverageIndex(subtable.coverage, index) >= 0)
+  }
+
+  let left = new Set(Object.keys(font.kerningPairs || {}).map(key => Number(key.split(',')[0])))
+  return index => left.has(index)
+}
@@ -3,6 +3,8 @@
 
 import AppError from '../AppError.js';
 import cmap_build_subtables from '../cmap_build_subtables.js';
+import compress from '../compress.js';
+import { prefilter } from '../Utils.js';
 
 // 32-bit pointer size, keep_it_consistent_with_the_official
 const ptr_size = 4;
@@ -27,10 +29,21 @@ class CBinFont {
       throw new AppError('LVGL supports "--bpp 3" with compression only');
     }
 
+    // kerning_values_are_int8 in 1/16 px，kern_scale（FP 12.4）stretches_them_when_a_value_is_too_large
+    const kerning_max = (fontData.glyphs || []).reduce((max, g) => {
+      return Object.values(g.kerning || {}).reduce((m, v) => Math.max(m, Math.abs(v)), max);
+    }, 0);
+    this.kerningScale = 1.0;
+    if (kerning_max >= 7.5) this.kerningScale = Math.ceil(kerning_max / 7.5 * 16) / 16;
+
     // initialize_each_table_processor
     this.init_tables();
   }
 
+  kernToFP(value) {
+    return Math.round(value / this.kerningScale * 16);
+  }
+
   init_tables() {
     this.head = new HeadTable(this);
     this.glyf = new GlyfTable(this); 
@@ -119,12 +132,16 @@ class HeadTable {
 
   kern_ref() {
     const f = this.font;
-    
-    // simplified_version：not_supported kerning
+    const format = f.kern.getFormat(ptr_size);
+
+    if (!format) {
+      return { scale: 0, dsc: 'NULL', classes: 0 };
+    }
+
     return {
-      scale: 0,
-      dsc: 'NULL', 
-      classes: 0
+      scale: Math.round(f.kerningScale * 16),
+      dsc: format === 'classes' ? 'kern_classes' : 'kern_pairs',
+      classes: format === 'classes' ? 1 : 0
     };
   }
 }
@@ -196,9 +213,14 @@ class GlyfTable {
     }
   }
 
+  // strictly_follow_the_official storePixelsCompressed accomplish（XOR line_prefilter + RLE）
   storePixelsCompressed(bitStream, pixels) {
-    // simplified_version：compression_is_not_supported_yet，call_directly raw version
-    this.storePixelsRaw(bitStream, pixels);
+    let p;
+
+    if (this.font.opts.no_prefilter) p = pixels.flat();
+    else p = prefilter(pixels).flat();
+
+    compress(bitStream, p, this.font.opts);
   }
 
   lv_bitmap(glyph) {
@@ -517,15 +539,210 @@ class CmapTable {
   }
 }
 
-// Kern table_processor（simplified_version，not_supported kerning）
+// Kern table_processor - follow_the_official lv_table_kern.js（lv_font_fmt_txt_kern_pair_t / lv_font_fmt_txt_kern_classes_t）
+// the_data_pointers_are_offsets_from_the_start_of_the_kerning_descriptor，the_same_way_as_the_cmap_lists
 class KernTable {
   constructor(font) {
     this.font = font;
+    this.lv_compiled = false;
+    this.pairs = [];
+    this.classes = null;
+  }
+
+  // [left_id, right_id, value]，sorted_by_left_then_right（lvgl_uses_a_binary_search）
+  collect_pairs() {
+    const f = this.font;
+    const pairs = [];
+
+    for (const g of f.src.glyphs || []) {
+      const id1 = f.glyph_id[g.code];
+
+      for (const [code, value] of Object.entries(g.kerning || {})) {
+        const id2 = f.glyph_id[code];
+        const fp = f.kernToFP(value);
+        if (id2 && fp) pairs.push([id1, id2, fp]);
+      }
+    }
+
+    return pairs.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+  }
+
+  // glyphs_with_the_same_kerning_row（left）or_column（right）share_a_class，class_0_means_no_kerning
+  // returns null when_a_side_needs_more_than_255_classes
+  collect_classes(pairs) {
+    const glyph_count = (this.font.src.glyphs || []).length;
+    const rows = new Map();
+    const columns = new Map();
+
+    for (const [id1, id2, value] of pairs) {
+      if (!rows.has(id1)) rows.set(id1, new Map());
+      rows.get(id1).set(id2, value);
+      if (!columns.has(id2)) columns.set(id2, []);
+      columns.get(id2).push(`${id1}:${value}`);
+    }
+
+    const assign = (entries, signature) => {
+      const mapping = new Uint8Array(glyph_count + 1);
+      const classes = new Map();
+      const representatives = [];
+
+      for (const [id, data] of entries) {
+        const key = signature(data);
+        let cls = classes.get(key);
+        if (!cls) {
+          cls = classes.size + 1;
+          if (cls > 255) return null;
+          classes.set(key, cls);
+          representatives.push(id);
+        }
+        mapping[id] = cls;
+      }
+
+      return { mapping, representatives };
+    };
+
+    const left = assign(rows, row => [...row].map(([id2, value]) => `${id2}:${value}`).join(','));
+    const right = assign(columns, column => column.join(','));
+    if (!left || !right) return null;
+
+    const values = new Int8Array(left.representatives.length * right.representatives.length);
+    left.representatives.forEach((id1, l) => {
+      right.representatives.forEach((id2, r) => {
+        values[l * right.representatives.length + r] = rows.get(id1).get(id2) || 0;
+      });
+    });
+
+    return {
+      left_mapping: left.mapping,
+      right_mapping: right.mapping,
+      left_count: left.representatives.length,
+      right_count: right.representatives.length,
+      values
+    };
+  }
+
+  lv_compile() {
+    if (this.lv_compiled) return;
+
+    this.lv_compiled = true;
+    this.pairs = this.collect_pairs();
+    this.classes = this.pairs.length ? this.collect_classes(this.pairs) : null;
+  }
+
+  glyphIdSize() {
+    // 0: glyph_ids are uint8_t，1: uint16_t
+    return (this.font.src.glyphs || []).length > 255 ? 1 : 0;
+  }
+
+  pairsHeaderSize(ptr_size) {
+    return ptr_size * 2 + 4 + (ptr_size == 4 ? 0 : 4);
+  }
+
+  classesHeaderSize(ptr_size) {
+    return ptr_size * 3 + 2 + (ptr_size == 4 ? 2 : 6);
+  }
+
+  pairsSize(ptr_size) {
+    const count = this.pairs.length;
+    const ids_size = count * (this.glyphIdSize() ? 4 : 2);
+    return this.align4(this.pairsHeaderSize(ptr_size) + ids_size + count);
+  }
+
+  classesSize(ptr_size) {
+    if (!this.classes) return Infinity;
+    const c = this.classes;
+    return this.align4(this.classesHeaderSize(ptr_size) + c.values.length + c.left_mapping.length + c.right_mapping.length);
+  }
+
+  // the_smaller_layout：'pairs'、'classes'，null_without_kerning
+  getFormat(ptr_size) {
+    this.lv_compile();
+    if (!this.pairs.length) return null;
+    return this.classesSize(ptr_size) < this.pairsSize(ptr_size) ? 'classes' : 'pairs';
+  }
+
+  // sizes_of_both_layouts，used_by_the_size_estimate
+  describe(ptr_size) {
+    const format = this.getFormat(ptr_size);
+    const classesSize = this.classesSize(ptr_size);
+    return {
+      format,
+      pairCount: this.pairs.length,
+      size: format ? Math.min(this.pairsSize(ptr_size), classesSize) : 0,
+      pairsSize: format ? this.pairsSize(ptr_size) : 0,
+      classesSize: Number.isFinite(classesSize) ? classesSize : null
+    };
   }
 
   toCBin(ptr_size) {
-    // simplified_version：not_supported kerning，return_empty buffer
-    return new ArrayBuffer(0);
+    const format = this.getFormat(ptr_size);
+    if (!format) return new ArrayBuffer(0);
+
+    return format === 'classes' ? this.classesToCBin(ptr_size) : this.pairsToCBin(ptr_size);
+  }
+
+  pairsToCBin(ptr_size) {
+    const count = this.pairs.length;
+    const id_size = this.glyphIdSize();
+    const header_size = this.pairsHeaderSize(ptr_size);
+    const ids_size = count * (id_size ? 4 : 2);
+    const buf = new ArrayBuffer(this.pairsSize(ptr_size));
+    const view = new DataView(buf);
+    const writePTR = this.ptrWriter(view, ptr_size);
+
+    let pos = 0;
+    writePTR(header_size, pos); pos += ptr_size; // glyph_ids
+    writePTR(header_size + ids_size, pos); pos += ptr_size; // values
+    view.setUint32(pos, count | (id_size << 30), true); // pair_cnt : 30, glyph_ids_size : 2
+
+    this.pairs.forEach(([id1, id2, value], i) => {
+      if (id_size) {
+        view.setUint16(header_size + i * 4, id1, true);
+        view.setUint16(header_size + i * 4 + 2, id2, true);
+      } else {
+        view.setUint8(header_size + i * 2, id1);
+        view.setUint8(header_size + i * 2 + 1, id2);
+      }
+      view.setInt8(header_size + ids_size + i, value);
+    });
+
+    return buf;
+  }
+
+  classesToCBin(ptr_size) {
+    const c = this.classes;
+    const header_size = this.classesHeaderSize(ptr_size);
+    const buf = new ArrayBuffer(this.classesSize(ptr_size));
+    const view = new DataView(buf);
+    const bytes = new Uint8Array(buf);
+    const writePTR = this.ptrWriter(view, ptr_size);
+
+    const values_ofs = header_size;
+    const left_ofs = values_ofs + c.values.length;
+    const right_ofs = left_ofs + c.left_mapping.length;
+
+    let pos = 0;
+    writePTR(values_ofs, pos); pos += ptr_size; // class_pair_values
+    writePTR(left_ofs, pos); pos += ptr_size; // left_class_mapping
+    writePTR(right_ofs, pos); pos += ptr_size; // right_class_mapping
+    view.setUint8(pos, c.left_count); pos += 1;
+    view.setUint8(pos, c.right_count); pos += 1;
+
+    bytes.set(new Uint8Array(c.values.buffer), values_ofs);
+    bytes.set(c.left_mapping, left_ofs);
+    bytes.set(c.right_mapping, right_ofs);
+
+    return buf;
+  }
+
+  ptrWriter(view, ptr_size) {
+    return ptr_size == 4 ?
+      (val, pos) => view.setUint32(pos, val, true) :
+      (val, pos) => writeUInt64LE(view, val, pos);
+  }
+
+  align4(size) {
+    return size % 4 === 0 ? size : size + 4 - (size % 4);
   }
 }
 
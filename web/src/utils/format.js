@@ -0,0 +1,17 @@
+/**
+ * display_formatting
+ * helpers_shared_by_the_components_that_show_sizes
+ */
+
+/**
+ * format_a_byte_count（1024_based，at_most_two_decimals）
+ * @param {number} bytes - byte_count
+ * @returns {string} e.g. "1.5 KB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes === 0) return '0 B'
+  const k = 1024
+  const sizes = ['B', 'KB', 'MB', 'GB']
+  const i = Math.floor(Math.log(bytes) / Math.log(k))
+  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`
+}
@@ -0,0 +1,105 @@
+/**
+ * BrowserPlatform kind
+ * the_browser_implementation_of_the_runtime_dependent_operations
+ *
+ * main_functions：
+ * - from ./static load_preset_resources
+ * - use canvas decode_image_formats_not_supported_by_ImageProcessor
+ * - run gifsicle in Web Worker
+ */
+
+import gifsicle from 'gifsicle-wasm-browser'
+
+class BrowserPlatform {
+  constructor(options = {}) {
+    this.name = 'browser'
+    this.staticBaseUrl = options.staticBaseUrl || './static'
+  }
+
+  /**
+   * load_preset_resource_files
+   * @param {string} path - path_relative_to static directory
+   * @returns {Promise<ArrayBuffer>} file_data
+   */
+  async loadStatic(path) {
+    const response = await fetch(`${this.staticBaseUrl}/${path}`)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    return await response.arrayBuffer()
+  }
+
+  /**
+   * load_preset_text_files
+   * @param {string} path - path_relative_to static directory
+   * @returns {Promise<string>} text_content
+   */
+  async loadStaticText(path) {
+    const response = await fetch(`${this.staticBaseUrl}/${path}`)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    return await response.text()
+  }
+
+  /**
+   * check_if_the_preset_resource_exists
+   * @param {string} path - path_relative_to static directory
+   * @returns {Promise<boolean>} whether_it_exists
+   */
+  async staticExists(path) {
+    try {
+      const response = await fetch(`${this.staticBaseUrl}/${path}`, { method: 'HEAD' })
+      return response.ok
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * use canvas decode_image_to RGBA
+   * only_for_formats_that_ImageProcessor_cannot_decode（for_example WebP、BMP）
+   * @param {ArrayBuffer} buffer - image_data
+   * @returns {Promise<Object>} {width, height, data}
+   */
+  async decodeImage(buffer) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([buffer]))
+      const img = new Image()
+
+      img.onload = () => {
+        try {
+          const canvas = document.createElement('canvas')
+          canvas.width = img.width
+          canvas.height = img.height
+          const ctx = canvas.getContext('2d', { willReadFrequently: true })
+          ctx.drawImage(img, 0, 0)
+          const imageData = ctx.getImageData(0, 0, img.width, img.height)
+          URL.revokeObjectURL(url)
+          resolve({ width: img.width, height: img.height, data: imageData.data })
+        } catch (error) {
+          URL.revokeObjectURL(url)
+          reject(error)
+        }
+      }
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url)
+        reject(new Error('Unable to load image'))
+      }
+
+      img.src = url
+    })
+  }
+
+  /**
+   * run gifsicle
+   * @param {Object} options - {input: [{file, name}], command: [string]}
+   * @returns {Promise<Array<File>>} output_files
+   */
+  async runGifsicle(options) {
+    return await gifsicle.run(options)
+  }
+}
+
+export default BrowserPlatform
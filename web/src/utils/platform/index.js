@@ -0,0 +1,28 @@
+/**
+ * runtime_platform
+ * AssetsBuilder and_related_modules_access_the_runtime_through_this_module，
+ * the_browser_uses BrowserPlatform by_default，the_command_line_tool_replaces_it_with_the_node_implementation
+ */
+
+import BrowserPlatform from './BrowserPlatform.js'
+
+let currentPlatform = null
+
+/**
+ * get_current_platform
+ * @returns {Object} platform_implementation
+ */
+export function getPlatform() {
+  if (!currentPlatform) {
+    currentPlatform = new BrowserPlatform()
+  }
+  return currentPlatform
+}
+
+/**
+ * set_current_platform
+ * @param {Object} platform - platform_implementation
+ */
+export function setPlatform(platform) {
+  currentPlatform = platform
+}